@@ -2,69 +2,140 @@
 // SIMPLIFIED FaceRig Engine
 // ===============================
 
+// Everything character-specific (images, feature regions, emotion and viseme
+// sets, blink frames, idle motion) comes from an avatar manifest, see
+// assets/avatars/default/manifest.json.
+const FEATURES = ["brow", "eyes", "mouth"];
+
+// Idle motion used when the manifest leaves a value out
+const DEFAULT_IDLE = {
+    eyeJitter: { x: 0.8, y: 0.6, intervalMs: [150, 350] },
+    headTilt: { degrees: 1.5, intervalMs: [2000, 5000] },
+    breathing: { x: 0.1, y: 0.08, speed: 0.02 }
+};
+const DEFAULT_BLINK = { closeMs: 50, holdMs: 25, openMs: 50, intervalMs: [2000, 4500] };
+
+const randomIn = ([min, max]) => min + Math.random() * (max - min);
+
 class FaceRig {
-    constructor() {
-        this.base = document.getElementById("base");
-        this.emotion = document.getElementById("emotion");
-        this.blink = document.getElementById("blink");
-        this.viseme = document.getElementById("viseme");
-
-        // ✅ Visual stacking
-        this.base.style.zIndex = 1;
-        this.emotion.style.zIndex = 2;
-        this.viseme.style.zIndex = 10; // HIGHEST - Always on top!
-        this.blink.style.zIndex = 11; // Above everything
+    // options.canvas: target canvas (default #avatar-canvas)
+    // options.avatar / options.avatarUrl: manifest to load right away
+    constructor(options = {}) {
+        const canvas = options.canvas || document.getElementById("avatar-canvas");
+        this.renderer = new CanvasRenderer(canvas, { size: options.size });
+        this.avatar = null;
+        this.idle = DEFAULT_IDLE;
+        this.blinkTiming = DEFAULT_BLINK;
+        this.idleTimers = [];
 
         // ✅ Animation states
-        this.currentEmotion = "neutral";
         this.isSpeaking = false;
         this.currentViseme = null;
 
+        // ✅ Mouth cross-fade: two layers, the incoming one fades in while the
+        // outgoing one fades out over the transition window
+        this.visemeTransitionMs = 80;
+        this.minVisemeConfidence = 0.2;
+        this.mouthLayers = [
+            { name: null, from: 0, to: 0, opacity: 0, start: 0, duration: 0 },
+            { name: null, from: 0, to: 0, opacity: 0, start: 0, duration: 0 }
+        ];
+        this.activeMouth = 0;
+        this.restViseme = "rest";
+
+        // ✅ Emotion blend: weight of the primary/secondary slots over neutral
+        this.emotionTransitionMs = 250;
+        this.emotionBlend = {
+            primary: { name: null, from: 0, to: 0, opacity: 0, start: 0, duration: 0 },
+            secondary: { name: null, from: 0, to: 0, opacity: 0, start: 0, duration: 0 }
+        };
+
         this.eyeJitter = { x: 0, y: 0 };
         this.headTilt = 0;
 
         this.blinkState = 0;
         this.blinkTimer = 0;
+        this.blinkAmount = 0; // 0 = open, 1 = closed
 
         this.idleOffset = { x: 0, y: 0 };
         this.idlePhase = 0;
 
         // ✅ Initialize
-        this.setEmotion("neutral");
+        this.currentEmotion = "neutral";
+        this.ready = options.avatar
+            ? this.loadAvatar(options.avatar, options.avatarUrl)
+            : Promise.resolve();
         this.startIdleLoops();
+        window.addEventListener("resize", () => this.renderer.resize(canvas.clientWidth || this.renderer.size));
         requestAnimationFrame(() => this.update());
     }
 
+    // =============================================
+    // Avatar Manifest
+    // =============================================
+    // Switch to the character described by `manifest`. Image paths are
+    // relative to manifest.root, which is relative to the manifest's URL.
+    loadAvatar(manifest, manifestUrl = "") {
+        const base = new URL(manifestUrl || "", window.location.href);
+        this.avatar = manifest;
+        this.assetRoot = new URL(manifest.root || "./", base).href;
+        this.restViseme = (manifest.visemes && manifest.visemes.rest) || "rest";
+
+        const idle = manifest.idle || {};
+        this.idle = {
+            eyeJitter: { ...DEFAULT_IDLE.eyeJitter, ...idle.eyeJitter },
+            headTilt: { ...DEFAULT_IDLE.headTilt, ...idle.headTilt },
+            breathing: { ...DEFAULT_IDLE.breathing, ...idle.breathing }
+        };
+        const { frames, ...blinkTiming } = manifest.blink || {};
+        this.blinkTiming = { ...DEFAULT_BLINK, ...blinkTiming };
+        this.startIdleLoops();
+
+        this.renderer.clear();
+        this.ready = this.renderer.preload(this.textureList());
+        return this.ready;
+    }
+
+    hasViseme(name) {
+        if (!this.avatar || !this.avatar.visemes || !this.avatar.visemes.images) return false;
+        return name in this.avatar.visemes.images && !this.renderer.isMissing(`viseme:${name}`);
+    }
+
     // =============================================
     // Idle Animations
     // =============================================
     startIdleLoops() {
-        // Natural blinking
-        setInterval(() => {
-            if (!this.isSpeaking || Math.random() > 0.3) {
-                this.blinkOnce();
-            }
-        }, 2000 + Math.random() * 2500);
-
-        // Micro eye movements
-        setInterval(() => {
-            this.eyeJitter.x = (Math.random() - 0.5) * 0.8;
-            this.eyeJitter.y = (Math.random() - 0.5) * 0.6;
-        }, 150 + Math.random() * 200);
-
-        // Head movements
-        setInterval(() => {
-            if (!this.isSpeaking) {
-                this.headTilt = (Math.random() - 0.5) * 1.5;
-            }
-        }, 2000 + Math.random() * 3000);
+        this.idleTimers.forEach(id => clearInterval(id));
+        const { eyeJitter, headTilt, breathing } = this.idle;
+
+        this.idleTimers = [
+            // Natural blinking
+            setInterval(() => {
+                if (!this.isSpeaking || Math.random() > 0.3) {
+                    this.blinkOnce();
+                }
+            }, randomIn(this.blinkTiming.intervalMs)),
+
+            // Micro eye movements
+            setInterval(() => {
+                this.eyeJitter.x = (Math.random() - 0.5) * eyeJitter.x;
+                this.eyeJitter.y = (Math.random() - 0.5) * eyeJitter.y;
+            }, randomIn(eyeJitter.intervalMs)),
 
-        // Breathing movement
-        setInterval(() => {
-            this.idlePhase += 0.02;
-            this.idleOffset.x = Math.sin(this.idlePhase) * 0.1;
-            this.idleOffset.y = Math.cos(this.idlePhase * 0.7) * 0.08;
-        }, 40);
+            // Head movements
+            setInterval(() => {
+                if (!this.isSpeaking) {
+                    this.headTilt = (Math.random() - 0.5) * headTilt.degrees;
+                }
+            }, randomIn(headTilt.intervalMs)),
+
+            // Breathing movement
+            setInterval(() => {
+                this.idlePhase += breathing.speed;
+                this.idleOffset.x = Math.sin(this.idlePhase) * breathing.x;
+                this.idleOffset.y = Math.cos(this.idlePhase * 0.7) * breathing.y;
+            }, 40)
+        ];
     }
 
     blinkOnce() {
@@ -73,21 +144,23 @@ class FaceRig {
         this.blinkState = 1;
         this.blinkTimer = 0;
 
+        const { closeMs, holdMs, openMs } = this.blinkTiming;
+
         const animateBlink = () => {
             this.blinkTimer += 16;
 
-            if (this.blinkTimer < 50) {
+            if (this.blinkTimer < closeMs) {
                 // Closing
-                this.blink.style.opacity = this.blinkTimer / 50;
-            } else if (this.blinkTimer < 75) {
+                this.blinkAmount = this.blinkTimer / closeMs;
+            } else if (this.blinkTimer < closeMs + holdMs) {
                 // Holding closed
-                this.blink.style.opacity = 1;
-            } else if (this.blinkTimer < 125) {
+                this.blinkAmount = 1;
+            } else if (this.blinkTimer < closeMs + holdMs + openMs) {
                 // Opening
-                this.blink.style.opacity = 1 - ((this.blinkTimer - 75) / 50);
+                this.blinkAmount = 1 - ((this.blinkTimer - closeMs - holdMs) / openMs);
             } else {
                 // Finished
-                this.blink.style.opacity = 0;
+                this.blinkAmount = 0;
                 this.blinkState = 0;
                 return;
             }
@@ -103,26 +176,81 @@ class FaceRig {
     // =============================================
     // Emotion System
     // =============================================
-    setEmotion(emotion) {
-        if (this.currentEmotion === emotion) return;
+    // options.intensity (0-1) blends the emotion over neutral (default 1);
+    // options.secondary / options.secondaryIntensity mix in a second emotion.
+    setEmotion(emotion, options = {}) {
+        const clamp = (v, fallback) => typeof v === "number" && isFinite(v) ? Math.min(Math.max(v, 0), 1) : fallback;
+        const primary = emotion && emotion !== "neutral" ? emotion : null;
+        const intensity = primary ? clamp(options.intensity, 1) : 0;
+        const secondary = options.secondary && options.secondary !== "neutral" && options.secondary !== primary
+            ? options.secondary : null;
+        const secondaryIntensity = secondary ? clamp(options.secondaryIntensity, 0.5) : 0;
 
-        this.currentEmotion = emotion;
+        this.currentEmotion = emotion || "neutral";
+        const transitionMs = options.transitionMs ?? this.emotionTransitionMs;
 
-        // Load emotion image
-        const img = new Image();
-        img.onload = () => {
-            if (this.currentEmotion === emotion) {
-                this.emotion.src = `assets/emotions/${emotion}.png`;
-                this.emotion.style.opacity = 1;
-            }
-        };
-        img.onerror = () => {
-            console.warn(`Failed to load emotion: ${emotion}`);
-            // Fallback to neutral
-            this.emotion.src = `assets/emotions/neutral.png`;
-            this.emotion.style.opacity = 1;
+        // Brows, eyes and mouth blend independently; the viseme layers own the
+        // mouth while speaking, so only brows/eyes visibly change mid-sentence
+        this.blendSlot("primary", primary, intensity, transitionMs);
+        this.blendSlot("secondary", secondary, secondaryIntensity, transitionMs);
+    }
+
+    blendSlot(slot, emotion, weight, transitionMs) {
+        const blend = this.emotionBlend[slot];
+        if (emotion && emotion !== blend.name) {
+            // New sprite: swap it in and fade up from neutral
+            blend.name = emotion;
+            blend.opacity = 0;
+            FEATURES.forEach(feature => this.ensureTexture(`${feature}:${emotion}`));
+        }
+        this.fadeLayer(blend, emotion ? weight : 0, transitionMs);
+    }
+
+    // =============================================
+    // Textures
+    // =============================================
+    // Keys: "base", "<feature>:<emotion>", "viseme:<name>", "blink:<feature>"
+    textureSpec(key) {
+        const avatar = this.avatar;
+        const [kind, name] = key.split(":");
+        const urls = (paths) => [].concat(paths || []).map(p => new URL(p, this.assetRoot).href);
+
+        if (kind === "base") {
+            return { key, candidates: urls(avatar.base) };
+        }
+        if (kind === "viseme") {
+            const images = (avatar.visemes && avatar.visemes.images) || {};
+            return { key, candidates: urls(images[name]), region: avatar.regions.mouth };
+        }
+        if (kind === "blink") {
+            const frames = (avatar.blink && avatar.blink.frames) || {};
+            return { key, candidates: urls(frames[name]), region: avatar.regions[name] };
+        }
+        // Feature of an emotion, falling back to the neutral sprite
+        const emotion = avatar.emotions[name] || {};
+        const neutral = avatar.emotions.neutral || {};
+        return {
+            key,
+            candidates: [...urls(emotion[kind]), ...urls(neutral[kind])],
+            region: avatar.regions[kind]
         };
-        img.src = `assets/emotions/${emotion}.png`;
+    }
+
+    textureList() {
+        const avatar = this.avatar;
+        const keys = ["base"];
+        for (const emotion of Object.keys(avatar.emotions || {})) {
+            FEATURES.forEach(feature => keys.push(`${feature}:${emotion}`));
+        }
+        Object.keys((avatar.visemes && avatar.visemes.images) || {}).forEach(v => keys.push(`viseme:${v}`));
+        Object.keys((avatar.blink && avatar.blink.frames) || {}).forEach(f => keys.push(`blink:${f}`));
+        return keys.map(key => this.textureSpec(key));
+    }
+
+    ensureTexture(key) {
+        if (!this.avatar) return;
+        const spec = this.textureSpec(key);
+        this.renderer.ensure(spec.key, spec.candidates, spec.region);
     }
 
     // =============================================
@@ -142,54 +270,120 @@ class FaceRig {
     // =============================================
     // Viseme System
     // =============================================
-    showViseme(visemeName) {
-        if (!visemeName || visemeName === "rest") {
-            this.hideVisemes();
+    // options.confidence (0-1) scales how strongly the shape is drawn;
+    // options.transitionMs overrides the cross-fade window for this change.
+    showViseme(visemeName, options = {}) {
+        if (!visemeName || visemeName === this.restViseme) {
+            this.hideVisemes(options);
             return;
         }
 
-        if (this.currentViseme === visemeName) return;
+        const confidence = typeof options.confidence === "number" ? options.confidence : 1;
+        // Too uncertain to be worth a mouth change - keep the current shape
+        if (confidence < this.minVisemeConfidence && this.currentViseme) return;
+
+        const targetOpacity = 0.4 + 0.6 * Math.min(Math.max(confidence, 0), 1);
+        const transitionMs = options.transitionMs ?? this.visemeTransitionMs;
+        const active = this.mouthLayers[this.activeMouth];
+
+        if (this.currentViseme === visemeName) {
+            // Same shape, just follow the new confidence
+            this.fadeLayer(active, targetOpacity, transitionMs);
+            return;
+        }
 
         this.currentViseme = visemeName;
 
-        // Load and show viseme
-        const img = new Image();
-        img.onload = () => {
-            if (this.currentViseme === visemeName) {
-                this.viseme.src = `assets/visemes/${visemeName}.png`;
-                this.viseme.style.opacity = 1;
-            }
-        };
-        img.onerror = () => {
-            console.warn(`Failed to load viseme: ${visemeName}`);
-            this.viseme.style.opacity = 0;
-        };
-        img.src = `assets/visemes/${visemeName}.png`;
+        // Incoming shape goes on the idle layer, outgoing one fades away
+        const incoming = this.mouthLayers[1 - this.activeMouth];
+        this.activeMouth = 1 - this.activeMouth;
+
+        incoming.name = visemeName;
+        this.ensureTexture(`viseme:${visemeName}`);
+
+        this.fadeLayer(incoming, targetOpacity, transitionMs);
+        this.fadeLayer(active, 0, transitionMs);
     }
 
-    hideVisemes() {
+    hideVisemes(options = {}) {
+        const transitionMs = options.transitionMs ?? this.visemeTransitionMs;
         this.currentViseme = null;
-        this.viseme.style.opacity = 0;
+        this.mouthLayers.forEach(layer => this.fadeLayer(layer, 0, transitionMs));
+    }
+
+    fadeLayer(layer, target, durationMs) {
+        layer.from = layer.opacity;
+        layer.to = target;
+        layer.start = performance.now();
+        layer.duration = Math.max(durationMs, 0);
+    }
+
+    updateMouthLayers(now) {
+        for (const layer of this.mouthLayers) {
+            const t = layer.duration > 0 ? Math.min((now - layer.start) / layer.duration, 1) : 1;
+            // Ease in-out so the shapes blend rather than pop
+            const eased = t * t * (3 - 2 * t);
+            layer.opacity = layer.from + (layer.to - layer.from) * eased;
+        }
+    }
+
+    updateEmotionBlend(now) {
+        for (const blend of Object.values(this.emotionBlend)) {
+            const t = blend.duration > 0 ? Math.min((now - blend.start) / blend.duration, 1) : 1;
+            const eased = t * t * (3 - 2 * t);
+            blend.opacity = blend.from + (blend.to - blend.from) * eased;
+        }
     }
 
     // =============================================
     // Update Loop
     // =============================================
     update() {
-        // ✅ Apply head and eye movements
-        const transform = `
-            translate(${this.eyeJitter.x + this.idleOffset.x}px, ${this.eyeJitter.y + this.idleOffset.y}px)
-            rotate(${this.headTilt}deg)
-        `;
+        // ✅ Advance mouth cross-fades and emotion blends
+        const now = performance.now();
+        this.updateMouthLayers(now);
+        this.updateEmotionBlend(now);
 
-        this.base.style.transform = transform;
-        this.emotion.style.transform = transform;
-        this.viseme.style.transform = transform;
-        this.blink.style.transform = transform;
+        // ✅ Draw every layer in one pass
+        this.renderer.draw(this.buildLayers(), {
+            x: this.eyeJitter.x + this.idleOffset.x,
+            y: this.eyeJitter.y + this.idleOffset.y,
+            rotate: this.headTilt
+        });
 
         // ✅ Continue animation loop
         requestAnimationFrame(() => this.update());
     }
+
+    // Back-to-front layer list: base, emotion features, mouth shapes, blink
+    buildLayers() {
+        const layers = [{ key: "base", opacity: 1 }];
+        const { primary, secondary } = this.emotionBlend;
+
+        // Only visemes that actually have a texture hide the emotion's mouth
+        const mouthShapes = this.mouthLayers
+            .filter(l => l.name && this.renderer.has(`viseme:${l.name}`))
+            .map(l => ({ key: `viseme:${l.name}`, opacity: l.opacity }));
+        const visemeCoverage = Math.min(1, mouthShapes.reduce((sum, l) => sum + l.opacity, 0));
+
+        // ✅ Neutral underneath, primary over it, secondary on top;
+        // the emotion's painted mouth gives way to visemes
+        for (const feature of FEATURES) {
+            const visible = feature === "mouth" ? 1 - visemeCoverage : 1;
+            layers.push({ key: `${feature}:neutral`, opacity: visible });
+            if (primary.name) layers.push({ key: `${feature}:${primary.name}`, opacity: primary.opacity * visible });
+            if (secondary.name) layers.push({ key: `${feature}:${secondary.name}`, opacity: secondary.opacity * visible });
+        }
+
+        layers.push(...mouthShapes);
+
+        // ✅ Blink closes brows/eyes; the mouth only follows when not speaking
+        layers.push({ key: "blink:brow", opacity: this.blinkAmount });
+        layers.push({ key: "blink:eyes", opacity: this.blinkAmount });
+        layers.push({ key: "blink:mouth", opacity: this.isSpeaking ? 0 : this.blinkAmount * (1 - visemeCoverage) });
+
+        return layers;
+    }
 }
 
 window.FaceRig = FaceRig;
\ No newline at end of file
@@ -1,10 +1,3 @@
-let ws = new WebSocket("ws://localhost:8080");
-
-const baseImg = document.getElementById("base");
-const emotionImg = document.getElementById("emotion");
-const blinkImg = document.getElementById("blink");
-const visemeImg = document.getElementById("viseme");
-const audioPlayer = document.getElementById("audioPlayer");
 const logBox = document.getElementById("log");
 
 // ✅ FaceRig instance
@@ -14,46 +7,186 @@ document.getElementById("send").onclick = sendMessage;
 
 let activeVisemeTrack = null;
 let isPlaying = false;
-let currentTimeline = [];
-let audioStartTime = 0;
 let audioPlaybackId = 0;
-let audioDuration = 0;
-let syncCorrection = 0;
+
+// Clips (a whole reply, or one streamed chunk) scheduled back to back on the
+// AudioContext clock: { startAt, duration, source, timeline, cues, emotion, affect }
+let scheduledClips = [];
+let scheduledEnd = 0; // context time the last scheduled clip ends
+let playbackStats = null;
+
+// Streamed replies: tts_chunk messages queued and scheduled in seq order
+let streamRequestId = null;
+let chunkQueue = [];
+let nextChunkSeq = 0;
+let streamEnded = false;
+let chunkScheduling = false;
+
+// Barge-in: the reply this client asked for, until it has been spoken or cancelled
+let pendingRequestId = null;
+let awaitingReply = false;
+const cancelledRequests = new Set();
 
 // ----------------------------
 // VISEME CONSTANTS
 // ----------------------------
-const VISEME_FADE_SPEED = 0.15;
-const VISEME_PRELOAD_MS = 50;
+const VISEME_TRANSITION_MS = 80;  // cross-fade window between mouth shapes
+const VISEME_PRELOAD_MS = 50;     // start moving toward the next shape this early
 const REST_VISEME = "rest";
-const SYNC_CHECK_INTERVAL = 500;
 
-// Preload viseme images
-const visemeCache = {};
 let currentEmotion = "neutral";
+let currentAffect = {}; // { intensity, secondary, secondaryIntensity } of currentEmotion
+
+// Conversation session - kept per tab so the server remembers earlier turns
+const sessionId = sessionStorage.getItem("sessionId") || crypto.randomUUID();
+sessionStorage.setItem("sessionId", sessionId);
+
+// ----------------------------
+// SERVER CONFIG
+// ----------------------------
+// Chat server (it also serves the avatar packs). The first of these that names
+// a server wins:
+//   1. the query string: ?server=http://localhost:3000 (and optionally &ws=<socket URL>)
+//   2. config.json next to index.html: { "apiBase": "...", "wsUrl": "..." }
+//   3. Vite env VITE_API_BASE / VITE_WS_URL, filled into index.html's meta tags
+// The socket URL defaults to <server>/ws.
+const DEFAULT_API_BASE = "https://twodavatarchat-xe6t.onrender.com";
+const config = { apiBase: DEFAULT_API_BASE, wsUrl: null };
+
+async function loadConfig() {
+  const query = new URLSearchParams(window.location.search);
+  const fromQuery = { apiBase: query.get("server"), wsUrl: query.get("ws") };
+
+  let fromFile = {};
+  try {
+    const res = await fetch("config.json", { cache: "no-store" });
+    if (res.ok) fromFile = await res.json();
+  } catch {
+    // No config.json (or not JSON, e.g. the dev server's index.html fallback)
+  }
+
+  // Vite leaves %VITE_...% untouched when the variable is not set
+  const meta = (name) => {
+    const value = document.querySelector(`meta[name="${name}"]`)?.content;
+    return value && !value.startsWith("%") ? value : null;
+  };
+  const fromEnv = { apiBase: meta("chat-server"), wsUrl: meta("chat-socket") };
+
+  const source = [fromQuery, fromFile, fromEnv].find((c) => c && c.apiBase) || {};
+  config.apiBase = (source.apiBase || DEFAULT_API_BASE).replace(/\/+$/, "");
+  config.wsUrl = source.wsUrl || `${config.apiBase.replace(/^http/, "ws")}/ws`;
+}
 
 // ----------------------------
 // LOG
 // ----------------------------
-function log(msg) {
-  const timestamp = new Date().toLocaleTimeString();
-  logBox.innerHTML += `[${timestamp}] ${msg}<br>`;
+const LOG_COLORS = { you: "#4af", bot: "#4f4", system: "#aaa", error: "#f44" };
+
+// Entries are built from text nodes, so nothing typed by a participant (or
+// said by the model) is ever parsed as HTML. `label` is shown before the
+// message in the colour of its kind.
+function log(msg, label = "", kind = "system") {
+  const entry = document.createElement("div");
+  entry.append(`[${new Date().toLocaleTimeString()}] `);
+  if (label) {
+    const tag = document.createElement("span");
+    tag.style.color = LOG_COLORS[kind];
+    if (kind === "bot") tag.style.fontWeight = "bold";
+    tag.textContent = label;
+    entry.append(tag, " ");
+  }
+  entry.append(String(msg));
+  logBox.appendChild(entry);
   logBox.scrollTop = logBox.scrollHeight;
 }
 
 // ----------------------------
-// PRELOAD IMAGES
+// AVATAR
 // ----------------------------
-function preloadImages() {
-  const visemes = ['A', 'B', 'C', 'D', 'E', 'FV', 'L', 'M', 'O'];
-  visemes.forEach(viseme => {
-    const img = new Image();
-    img.src = `assets/visemes/${viseme}.png`;
-    visemeCache[viseme] = img;
+// Character to load, e.g. index.html?avatar=default
+const AVATAR_ID = new URLSearchParams(window.location.search).get("avatar") || "default";
+
+const warnedVisemes = new Set();
+let serverVisemeSet = null;
+let avatarReady = false;
+
+// Manifest from the server, falling back to the copy shipped with the client
+async function loadAvatar(id) {
+  const sources = [`${config.apiBase}/avatars/${encodeURIComponent(id)}`, `assets/avatars/${id}/manifest.json`];
+
+  for (const url of sources) {
+    try {
+      const res = await fetch(url);
+      if (!res.ok) continue;
+      const body = await res.json();
+      const manifest = body.avatar || body;
+      await faceRig.loadAvatar(manifest, new URL(url, window.location.href).href);
+      avatarReady = true;
+      log(`Avatar "${manifest.name || id}" loaded`);
+      validateVisemeSet(serverVisemeSet);
+      return;
+    } catch (err) {
+      console.warn(`Avatar manifest ${url} failed:`, err);
+    }
+  }
+  log(id, "Could not load avatar:", "error");
+}
+
+function hasVisemeImage(viseme) {
+  return viseme === REST_VISEME || faceRig.hasViseme(viseme);
+}
+
+// Check the server's viseme set (from the "hello" message) against the avatar's images
+function validateVisemeSet(visemeSet) {
+  serverVisemeSet = visemeSet || serverVisemeSet;
+  if (!avatarReady || !visemeSet || !Array.isArray(visemeSet.visemes)) return;
+  const missing = visemeSet.visemes.map(v => v.id).filter(id => !hasVisemeImage(id));
+  if (missing.length) {
+    log(missing.join(", "), `Viseme set "${visemeSet.name}" has no image for:`, "error");
+  } else {
+    log(`Viseme set "${visemeSet.name}": ${visemeSet.visemes.length} shapes ready`);
+  }
+}
+
+// Warn (once per shape) about timeline visemes we cannot draw
+function checkTimelineVisemes(timeline) {
+  if (!avatarReady) return;
+  (timeline || []).forEach(entry => {
+    if (!hasVisemeImage(entry.viseme) && !warnedVisemes.has(entry.viseme)) {
+      warnedVisemes.add(entry.viseme);
+      log(entry.viseme, "No image for viseme:", "error");
+    }
   });
 }
 
-preloadImages();
+faceRig.visemeTransitionMs = VISEME_TRANSITION_MS;
+
+// ----------------------------
+// VISEME LOOKUP / BLENDING
+// ----------------------------
+// Entry active at `time`, looking VISEME_PRELOAD_MS ahead so the mouth is
+// already moving toward the next shape when its sound starts
+function visemeAt(sortedTimeline, time) {
+  const lookup = time + VISEME_PRELOAD_MS / 1000;
+  for (let i = 0; i < sortedTimeline.length; i++) {
+    const entry = sortedTimeline[i];
+    if (lookup >= entry.start && lookup < entry.end) return entry;
+  }
+  return null;
+}
+
+// Blend to a timeline entry; short entries get a shorter cross-fade
+function applyViseme(entry) {
+  if (!entry || entry.viseme === REST_VISEME) {
+    faceRig.hideVisemes();
+    return;
+  }
+  const entryMs = (entry.end - entry.start) * 1000;
+  faceRig.showViseme(entry.viseme, {
+    confidence: typeof entry.confidence === "number" ? entry.confidence : 1,
+    transitionMs: Math.min(VISEME_TRANSITION_MS, entryMs * 0.5)
+  });
+}
 
 // ----------------------------
 // SEND MESSAGE
@@ -62,21 +195,349 @@ function sendMessage() {
   const txt = document.getElementById("text").value.trim();
   if (!txt) return;
 
-  // fetch("http://localhost:3000/chat", {
-  fetch("https://twodavatarchat-xe6t.onrender.com/chat", {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ text: txt })
-  });
-
-  log(`<span style='color:#4af'>You:</span> ${txt}`);
+  sendText(txt);
   document.getElementById("text").value = "";
 }
 
+function sendText(txt) {
+  // A new message talks over the current reply. Messages typed while offline
+  // are all sent on reconnect; the server answers the last one.
+  if (!isQueued(pendingRequestId)) interrupt("Interrupted");
+
+  const requestId = crypto.randomUUID();
+  pendingRequestId = requestId;
+  awaitingReply = true;
+
+  log(txt, "You:", "you");
+
+  const message = { type: "user_message", text: txt, requestId, stream: true };
+  if (socketOpen()) {
+    ws.send(JSON.stringify(message));
+  } else {
+    outbox.push(message);
+    log("offline - message queued", "System:");
+    refreshStatus();
+  }
+}
+
+// ----------------------------
+// BARGE-IN
+// ----------------------------
+function replyInProgress() {
+  return Boolean(pendingRequestId) && (awaitingReply || isPlaying || chunkScheduling);
+}
+
+// Cancel the reply in progress: the server stops generating and synthesizing
+// it, and anything already queued here is dropped
+function interrupt(reason) {
+  if (!replyInProgress()) return false;
+
+  const requestId = pendingRequestId;
+  pendingRequestId = null;
+  awaitingReply = false;
+  cancelledRequests.add(requestId);
+  if (isQueued(requestId)) {
+    outbox.splice(0, outbox.length, ...outbox.filter((m) => m.requestId !== requestId));
+    refreshStatus();
+  } else if (socketOpen()) {
+    ws.send(JSON.stringify({ type: "cancel", requestId }));
+  }
+  stopAllPlayback();
+  if (reason) log(reason, "System:");
+  return true;
+}
+
+// While the avatar talks, sustained speech on the microphone interrupts it.
+// Enabled once the user has used voice input (add ?bargeIn=off to disable).
+// The microphone is only open while a reply is playing.
+const VOICE_BARGE_IN = new URLSearchParams(window.location.search).get("bargeIn") !== "off";
+const BARGE_IN_RMS = 0.06;        // echo-cancelled mic level that counts as speech
+const BARGE_IN_ECHO_RATIO = 0.5;  // the mic must also beat this share of the avatar's own level
+const BARGE_IN_HOLD_MS = 250;     // how long it has to last
+let voiceBargeInArmed = false;
+let bargeIn = null;
+
+function signalLevel(node, samples) {
+  node.getFloatTimeDomainData(samples);
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+  return Math.sqrt(sum / samples.length);
+}
+
+async function startVoiceBargeIn() {
+  if (!voiceBargeInArmed || bargeIn || !window.AudioContext) return;
+  const session = { stream: null, source: null, analyser: null, timer: 0, voicedSince: 0 };
+  bargeIn = session;
+  try {
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: { echoCancellation: true, noiseSuppression: true } });
+    // Playback ended while the permission was being checked
+    if (bargeIn !== session) {
+      stream.getTracks().forEach((t) => t.stop());
+      return;
+    }
+    const context = getAudioContext();
+    session.stream = stream;
+    session.analyser = context.createAnalyser();
+    session.analyser.fftSize = 1024;
+    session.samples = new Float32Array(session.analyser.fftSize);
+    session.source = context.createMediaStreamSource(stream);
+    session.source.connect(session.analyser);
+    session.timer = setInterval(checkVoiceBargeIn, 50);
+  } catch (err) {
+    if (bargeIn === session) bargeIn = null;
+    voiceBargeInArmed = false;
+    console.warn("Voice barge-in unavailable:", err);
+  }
+}
+
+// Release the microphone once the avatar is quiet again
+function stopVoiceBargeIn() {
+  if (!bargeIn) return;
+  clearInterval(bargeIn.timer);
+  if (bargeIn.source) bargeIn.source.disconnect();
+  if (bargeIn.stream) bargeIn.stream.getTracks().forEach((t) => t.stop());
+  bargeIn = null;
+}
+
+function checkVoiceBargeIn() {
+  if (!bargeIn || !bargeIn.analyser) return;
+  if (!isPlaying) {
+    stopVoiceBargeIn();
+    return;
+  }
+  // Push-to-talk recordings are handled by startRecording
+  if (recorder) {
+    bargeIn.voicedSince = 0;
+    return;
+  }
+
+  // What echo cancellation lets through of the avatar's own voice scales with
+  // how loud it is playing, so the threshold rises with the output level
+  const rms = signalLevel(bargeIn.analyser, bargeIn.samples);
+  const output = getAnalyser();
+  const threshold = Math.max(BARGE_IN_RMS, signalLevel(output.node, output.samples) * BARGE_IN_ECHO_RATIO);
+
+  const now = performance.now();
+  if (rms < threshold) {
+    bargeIn.voicedSince = 0;
+  } else if (!bargeIn.voicedSince) {
+    bargeIn.voicedSince = now;
+  } else if (now - bargeIn.voicedSince >= BARGE_IN_HOLD_MS) {
+    bargeIn.voicedSince = 0;
+    interrupt("Interrupted by voice");
+  }
+}
+
+// ----------------------------
+// PUSH-TO-TALK
+// ----------------------------
+// Hold the mic button (or Space while nothing else has focus) to record; on release
+// the recording is transcribed by the server and sent like a typed message.
+const micButton = document.getElementById("mic");
+const MIN_RECORDING_MS = 300;
+let recorder = null;
+let recordingStart = 0;
+
+async function startRecording() {
+  if (recorder || micButton.classList.contains("busy")) return;
+  if (!navigator.mediaDevices || !window.MediaRecorder) {
+    log("not supported by this browser", "Voice input:", "error");
+    return;
+  }
+
+  // Claim the slot before the permission prompt so a second press is ignored
+  recorder = "pending";
+  let stream;
+  try {
+    stream = await navigator.mediaDevices.getUserMedia({ audio: { echoCancellation: true, noiseSuppression: true } });
+  } catch (err) {
+    recorder = null;
+    log(`microphone unavailable (${err.message})`, "Voice input:", "error");
+    return;
+  }
+  // Released while the permission prompt was open
+  if (recorder !== "pending") {
+    stream.getTracks().forEach((t) => t.stop());
+    return;
+  }
+
+  // Talking over the avatar interrupts it; from now on the mic also watches for barge-in
+  interrupt("Interrupted");
+  voiceBargeInArmed = VOICE_BARGE_IN;
+
+  const chunks = [];
+  recorder = new MediaRecorder(stream);
+  recorder.ondataavailable = (e) => { if (e.data.size) chunks.push(e.data); };
+  recorder.onstop = () => {
+    stream.getTracks().forEach((t) => t.stop());
+    const tooShort = Date.now() - recordingStart < MIN_RECORDING_MS;
+    const blob = new Blob(chunks, { type: recorder.mimeType || "audio/webm" });
+    recorder = null;
+    if (!tooShort && blob.size) transcribe(blob);
+  };
+
+  recordingStart = Date.now();
+  recorder.start();
+  micButton.classList.add("recording");
+}
+
+function stopRecording() {
+  micButton.classList.remove("recording");
+  if (recorder === "pending") recorder = null;
+  else if (recorder && recorder.state === "recording") recorder.stop();
+}
+
+async function transcribe(blob) {
+  micButton.classList.add("busy");
+  try {
+    const res = await fetch(`${config.apiBase}/transcribe`, {
+      method: "POST",
+      headers: { "Content-Type": blob.type, "X-Session-Id": sessionId },
+      body: blob
+    });
+    const result = await res.json();
+    if (result.status !== "ok") throw new Error(result.error || `HTTP ${res.status}`);
+
+    if (result.text) sendText(result.text);
+    else log("no speech heard", "System:");
+  } catch (err) {
+    log(err.message, "Voice input:", "error");
+  } finally {
+    micButton.classList.remove("busy");
+  }
+}
+
+micButton.addEventListener("pointerdown", (e) => {
+  e.preventDefault();
+  micButton.setPointerCapture(e.pointerId);
+  startRecording();
+});
+micButton.addEventListener("pointerup", stopRecording);
+micButton.addEventListener("pointercancel", stopRecording);
+
+// ----------------------------
+// CONNECTION
+// ----------------------------
+// The whole conversation runs over one socket (server/PROTOCOL.md). The server
+// only sends this session's replies to it; with ?room=<name> the page also plays
+// every conversation held in that room (shared display).
+const PROTOCOL_VERSION = 1;
+const ROOM = new URLSearchParams(window.location.search).get("room");
+const RECONNECT_BASE_MS = 1000;   // first retry delay, doubled per failed attempt
+const RECONNECT_MAX_MS = 30000;
+const OFFLINE_AFTER_ATTEMPTS = 5; // then show "offline" (retries go on)
+
+const statusIndicator = document.querySelector(".status-indicator");
+const statusText = document.getElementById("status-text");
+let ws = null;
+let connectionState = "connecting";
+let connectionLabel = "";
+let reconnectAttempts = 0;
+let reconnectTimer = null;
+const outbox = []; // user messages typed while disconnected
+
+function socketOpen() {
+  return Boolean(ws) && ws.readyState === WebSocket.OPEN;
+}
+
+function isQueued(requestId) {
+  return Boolean(requestId) && outbox.some((m) => m.requestId === requestId);
+}
+
+// state: connecting | connected | reconnecting | offline
+function showConnectionState(state, label) {
+  const labels = {
+    connecting: "Connecting...",
+    connected: "Connected",
+    reconnecting: "Reconnecting...",
+    offline: "Offline"
+  };
+  connectionState = state;
+  connectionLabel = label || labels[state];
+  refreshStatus();
+}
+
+function refreshStatus() {
+  statusIndicator.dataset.state = connectionState;
+  statusText.textContent = outbox.length ? `${connectionLabel} (${outbox.length} queued)` : connectionLabel;
+}
+
+function connect() {
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  showConnectionState(reconnectAttempts ? "reconnecting" : "connecting");
+
+  const params = new URLSearchParams({ v: PROTOCOL_VERSION, sessionId });
+  if (ROOM) params.set("room", ROOM);
+  // Reply audio comes as a URL to fetch instead of base64 in the message
+  params.set("audio", "url");
+  const socket = new WebSocket(`${config.wsUrl}?${params}`);
+  ws = socket;
+
+  socket.onopen = () => {
+    reconnectAttempts = 0;
+    showConnectionState("connected");
+    flushOutbox();
+  };
+  socket.onmessage = handleSocketMessage;
+  socket.onclose = () => {
+    if (ws !== socket) return;
+    ws = null;
+    dropReplyInFlight();
+    scheduleReconnect();
+  };
+  // A failed connection also fires "close", which retries
+  socket.onerror = () => {};
+}
+
+// Exponential backoff with jitter so many tabs don't reconnect in lockstep
+function scheduleReconnect() {
+  if (reconnectTimer) return;
+  if (!navigator.onLine) {
+    showConnectionState("offline");
+    return; // the "online" event reconnects
+  }
+
+  const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** reconnectAttempts * (0.8 + Math.random() * 0.4));
+  reconnectAttempts++;
+  const state = reconnectAttempts > OFFLINE_AFTER_ATTEMPTS ? "offline" : "reconnecting";
+  const label = state === "offline" ? "Offline" : "Reconnecting";
+  showConnectionState(state, `${label} - retrying in ${Math.round(delay / 1000)}s`);
+  reconnectTimer = setTimeout(connect, delay);
+}
+
+function flushOutbox() {
+  while (outbox.length && socketOpen()) {
+    ws.send(JSON.stringify(outbox.shift()));
+  }
+  refreshStatus();
+}
+
+// A reply still being generated when the socket dropped never arrives; let the
+// chunks already here finish playing
+function dropReplyInFlight() {
+  if (!pendingRequestId || isQueued(pendingRequestId)) return;
+  if (awaitingReply) log("reply dropped", "Connection lost:", "error");
+  cancelledRequests.add(pendingRequestId);
+  if (pendingRequestId === streamRequestId) endStream();
+  pendingRequestId = null;
+  awaitingReply = false;
+}
+
+window.addEventListener("online", () => {
+  if (ws) return;
+  reconnectAttempts = 0;
+  connect();
+});
+
+window.addEventListener("offline", () => {
+  if (!socketOpen()) showConnectionState("offline");
+});
+
 // ----------------------------
 // WEB SOCKET HANDLER
 // ----------------------------
-ws.onmessage = (ev) => {
+function handleSocketMessage(ev) {
   let packet;
   try {
     packet = JSON.parse(ev.data);
@@ -84,18 +545,65 @@ ws.onmessage = (ev) => {
     return;
   }
 
+  // Late messages for a reply that was interrupted
+  if (packet.requestId && cancelledRequests.has(packet.requestId)) return;
+
   if (packet.type === "tts") {
     handleResponse(packet);
-  } else if (packet.type === "info") {
-    log(`<span style='color:#aaa'>System:</span> ${packet.msg}`);
+  } else if (packet.type === "tts_chunk") {
+    handleChunk(packet);
+  } else if (packet.type === "tts_end") {
+    handleStreamEnd(packet);
+  } else if (packet.type === "tts_cancelled") {
+    handleStreamCancelled(packet);
+  } else if (packet.type === "hello" || packet.type === "info") {
+    log("connected", "System:");
+    validateVisemeSet(packet.visemeSet);
+  } else if (packet.type === "error") {
+    log(packet.error, "Error:", "error");
+    if (packet.requestId && packet.requestId === pendingRequestId) {
+      pendingRequestId = null;
+      awaitingReply = false;
+    }
   }
-};
+}
 
 // ----------------------------
 // MAIN BOT RESPONSE HANDLER
 // ----------------------------
+// Emotion label for the chat log, e.g. "happy 0.4 + surprised 0.3"
+function describeEmotion(packet) {
+  let label = packet.emotion || "neutral";
+  if (typeof packet.intensity === "number" && packet.intensity < 1) label += ` ${packet.intensity}`;
+  if (packet.secondary) label += ` + ${packet.secondary} ${packet.secondaryIntensity}`;
+  return label;
+}
+
+function affectOf(packet) {
+  return {
+    intensity: packet.intensity,
+    secondary: packet.secondary,
+    secondaryIntensity: packet.secondaryIntensity
+  };
+}
+
+// Switches the face to each emotion cue once playback time reaches it
+function createCueTracker(cues) {
+  const sorted = [...(cues || [])].sort((a, b) => a.time - b.time);
+  let next = 0;
+
+  return (time) => {
+    while (next < sorted.length && sorted[next].time <= time) {
+      const cue = sorted[next++];
+      currentEmotion = cue.emotion;
+      currentAffect = affectOf(cue);
+      faceRig.setEmotion(currentEmotion, currentAffect);
+    }
+  };
+}
+
 function handleResponse(packet) {
-  log(`<span style='color:#4f4'><b>Bot [${packet.emotion}]:</b></span> ${packet.reply}`);
+  log(packet.reply, `Bot [${describeEmotion(packet)}]:`, "bot");
 
   // ✅ Stop any previous playback
   stopAllPlayback();
@@ -103,286 +611,476 @@ function handleResponse(packet) {
   // Generate unique ID for this playback
   const playbackId = Date.now();
   audioPlaybackId = playbackId;
-  audioDuration = packet.duration || 1.0;
   currentEmotion = packet.emotion || "neutral";
+  currentAffect = affectOf(packet);
 
   // ✅ Set emotion
-  faceRig.setEmotion(currentEmotion);
+  faceRig.setEmotion(currentEmotion, currentAffect);
+  checkTimelineVisemes(packet.visemes);
 
-  // ✅ Set audio if available
-  if (packet.audio) {
-    setupAudioPlayback(packet, playbackId);
-  } else {
-    // If no audio, simulate with timeline
-    if (packet.visemes && packet.visemes.length > 0) {
-      currentTimeline = packet.visemes;
-      simulateVisemes(currentTimeline, playbackId);
-    }
-  }
+  // ✅ Schedule audio and lip-sync (visemes alone if there is no audio)
+  decodeClipAudio(packet).then((buffer) => {
+    if (audioPlaybackId === playbackId) scheduleClip(packet, buffer, playbackId);
+  });
 
-  // ✅ Start lip-sync with timeline
   if (packet.visemes && packet.visemes.length > 0) {
-    currentTimeline = packet.visemes;
-    log(`Lip-sync ready: ${currentTimeline.length} viseme frames`);
+    log(`Lip-sync ready: ${packet.visemes.length} viseme frames`);
   }
 }
 
 // ----------------------------
-// AUDIO PLAYBACK SETUP - COMPLETE FIX
+// STREAMED RESPONSE HANDLER
 // ----------------------------
-function setupAudioPlayback(packet, playbackId) {
-  // Clear any existing event listeners first
-  audioPlayer.onplay = null;
-  audioPlayer.onpause = null;
-  audioPlayer.ontimeupdate = null;
-  audioPlayer.onended = null;
-  audioPlayer.onerror = null;
+function handleChunk(packet) {
+  // First chunk of a new reply interrupts whatever was playing
+  if (packet.requestId !== streamRequestId) {
+    stopAllPlayback();
+    streamRequestId = packet.requestId;
+    chunkQueue = [];
+    nextChunkSeq = 0;
+    streamEnded = false;
+    audioPlaybackId = Date.now();
+  }
 
-  // Create audio URL from base64
-  const audioBlob = base64ToBlob(packet.audio, 'audio/wav');
-  const audioUrl = URL.createObjectURL(audioBlob);
+  checkTimelineVisemes(packet.visemes);
+  // Start downloading and decoding the audio while earlier chunks play
+  if (hasAudio(packet)) loadReplyAudio(packet).catch(() => {});
+  chunkQueue.push(packet);
+  chunkQueue.sort((a, b) => a.seq - b.seq);
 
-  // Reset audio element
-  audioPlayer.src = audioUrl;
-  audioPlayer.currentTime = 0;
+  scheduleChunks(audioPlaybackId);
+}
 
-  // Set up new event listeners
-  audioPlayer.onplay = () => {
-    if (audioPlaybackId !== playbackId) return;
+function handleStreamEnd(packet) {
+  log(packet.reply, `Bot [${describeEmotion(packet)}]:`, "bot");
 
-    isPlaying = true;
-    audioStartTime = Date.now();
-    faceRig.startSpeaking();
+  if (packet.requestId === pendingRequestId) awaitingReply = false;
+  if (packet.requestId !== streamRequestId) return;
+  if (packet.emotion) {
+    currentEmotion = packet.emotion;
+    currentAffect = affectOf(packet);
+  }
+  endStream();
+}
 
-    // Add speaking class to avatar
-    document.getElementById('avatar').classList.add('speaking');
+// No more chunks will come: playback ends once the scheduled ones have played
+function endStream() {
+  streamEnded = true;
+  if (!isPlaying && !chunkScheduling && chunkQueue.length === 0) cleanupPlayback(audioPlaybackId);
+}
 
-    // Start viseme animation
-    if (currentTimeline.length > 0) {
-      playVisemesSync(currentTimeline, playbackId);
-    }
+function moreChunksExpected() {
+  return Boolean(streamRequestId) && (!streamEnded || chunkScheduling || chunkQueue.length > 0);
+}
 
-    log("Audio started playing");
-  };
+// The server dropped a reply (e.g. superseded by a newer message from this session)
+function handleStreamCancelled(packet) {
+  if (packet.requestId === pendingRequestId) {
+    pendingRequestId = null;
+    awaitingReply = false;
+  }
+  if (packet.requestId === streamRequestId) stopAllPlayback();
+}
 
-  audioPlayer.onpause = () => {
-    if (audioPlaybackId !== playbackId) return;
-    log("Audio paused");
-  };
+// Decode queued chunks in seq order and schedule each one to start exactly
+// where the previous one ends, so the sentences play without gaps
+async function scheduleChunks(playbackId) {
+  if (chunkScheduling) return;
+  chunkScheduling = true;
+  try {
+    // Chunks must play in sequence order - wait for a missing one
+    while (audioPlaybackId === playbackId && chunkQueue.length > 0 && chunkQueue[0].seq === nextChunkSeq) {
+      const chunk = chunkQueue.shift();
+      nextChunkSeq++;
+      const buffer = await decodeClipAudio(chunk);
+      if (audioPlaybackId !== playbackId) return;
+      scheduleClip(chunk, buffer, playbackId);
+    }
+  } finally {
+    if (audioPlaybackId === playbackId) chunkScheduling = false;
+  }
+  if (streamEnded && !isPlaying && chunkQueue.length === 0) cleanupPlayback(playbackId);
+}
 
-  audioPlayer.ontimeupdate = () => {
-    if (!isPlaying || audioPlaybackId !== playbackId) return;
-    // Keep track of audio time for sync
-  };
+// ----------------------------
+// AUDIO CLOCK
+// ----------------------------
+// Replies play through Web Audio: each clip is decoded and started at a known
+// AudioContext time, and the lip-sync loop reads that same clock.
+const CLIP_START_DELAY = 0.1; // s of head room when nothing is playing yet
+let audioContext = null;
+
+function getAudioContext() {
+  if (!audioContext) audioContext = new AudioContext();
+  return audioContext;
+}
 
-  audioPlayer.onended = () => {
-    if (audioPlaybackId !== playbackId) return;
+// Browsers keep an AudioContext suspended until the user interacts with the page
+function unlockAudio() {
+  const context = getAudioContext();
+  if (context.state === "suspended") context.resume();
+}
+document.addEventListener("pointerdown", unlockAudio);
+document.addEventListener("keydown", unlockAudio);
 
-    log("Audio playback ended");
-    cleanupPlayback(playbackId);
-    URL.revokeObjectURL(audioUrl);
-  };
+// How far the output device lags behind the context clock
+function outputLatency() {
+  const context = getAudioContext();
+  return (context.baseLatency || 0) + (context.outputLatency || 0);
+}
 
-  audioPlayer.onerror = (e) => {
-    log(`<span style='color:#f44'>Audio error:</span> ${e.message}`);
-    if (audioPlaybackId === playbackId) {
-      cleanupPlayback(playbackId);
-    }
-    URL.revokeObjectURL(audioUrl);
-  };
+// Context time of the sound coming out of the speakers right now
+function audibleTime() {
+  return getAudioContext().currentTime - outputLatency();
+}
 
-  // Start playback with a small delay
-  setTimeout(() => {
-    if (audioPlaybackId === playbackId) {
-      audioPlayer.play().catch(err => {
-        log(`<span style='color:#f44'>Playback failed:</span> ${err.message}`);
-        cleanupPlayback(playbackId);
-        URL.revokeObjectURL(audioUrl);
-      });
-    }
-  }, 100);
+// Decoded audio of a clip, or null to animate its visemes without sound
+async function decodeClipAudio(packet) {
+  if (!hasAudio(packet)) return null;
+  try {
+    return await loadReplyAudio(packet);
+  } catch (err) {
+    log(err.message, "Audio failed:", "error");
+    return null;
+  }
 }
 
-// ----------------------------
-// FIXED VISEME PLAYBACK ENGINE - ALWAYS SYNCED TO AUDIO
-// ----------------------------
-function playVisemesSync(timeline, playbackId) {
-  if (!timeline || timeline.length === 0) {
-    log("No viseme timeline available");
-    return;
+// Queue a clip right after everything already scheduled (or shortly from now)
+function scheduleClip(packet, buffer, playbackId) {
+  const context = getAudioContext();
+  if (context.state === "suspended") {
+    log("click anywhere on the page to hear the avatar", "System:");
   }
 
-  stopVisemeTrack();
+  const timeline = [...(packet.visemes || [])].sort((a, b) => a.start - b.start);
+  const lastEnd = timeline.length ? timeline[timeline.length - 1].end : 0;
+  const duration = buffer ? buffer.duration : Math.max(packet.duration || 0, lastEnd);
+  const earliest = context.currentTime + CLIP_START_DELAY;
 
-  // Sort timeline by start time
-  const sortedTimeline = [...timeline].sort((a, b) => a.start - b.start);
-  let lastViseme = null;
-  let lastVisemeChange = 0;
-  let syncCheckCounter = 0;
+  // A chunk that arrives after the previous one finished leaves a gap
+  if (scheduledClips.length > 0 && earliest > scheduledEnd) {
+    playbackStats.gaps++;
+    playbackStats.gapTime += earliest - scheduledEnd;
+  }
+  const startAt = Math.max(scheduledEnd, earliest);
+
+  let source = null;
+  if (buffer) {
+    source = context.createBufferSource();
+    source.buffer = buffer;
+    source.connect(context.destination);
+    source.connect(getAnalyser().node);
+    source.start(startAt);
+  }
 
-  function visemeLoop() {
-    if (audioPlaybackId !== playbackId || !isPlaying) {
-      faceRig.hideVisemes();
-      return;
-    }
+  scheduledClips.push({
+    startAt,
+    duration,
+    source,
+    timeline,
+    timelineUsable: timeline.some(v => v.viseme !== REST_VISEME),
+    cues: packet.emotionCues || [],
+    emotion: packet.emotion,
+    affect: affectOf(packet)
+  });
+  scheduledEnd = startAt + duration;
 
-    // Get current audio time
-    const audioTime = audioPlayer.currentTime || 0;
+  if (!isPlaying) {
+    isPlaying = true;
+    playbackStats = {
+      gaps: 0, gapTime: 0, switches: 0, lagSum: 0, lagMax: 0, compared: 0, agreed: 0, analysed: 0,
+      contextStart: context.currentTime, clockStart: performance.now()
+    };
+    faceRig.startSpeaking();
+    document.getElementById('avatar').classList.add('speaking');
+    startLipSync(playbackId);
+    startVoiceBargeIn();
+  }
+}
 
-    // Throttle updates to ~30fps
-    const now = Date.now();
-    if (now - lastVisemeChange < 33) {
-      if (!audioPlayer.ended && isPlaying) {
-        activeVisemeTrack = requestAnimationFrame(visemeLoop);
-      } else {
-        faceRig.hideVisemes();
-      }
-      return;
-    }
+// ----------------------------
+// AUDIO ANALYSER LIP-SYNC
+// ----------------------------
+// The mouth can also follow the sound itself: an AnalyserNode taps everything
+// played, its level gives the mouth openness and its spectrum a rough shape.
+// "auto" uses it for clips with audio but no usable timeline, "analyser" for
+// every clip (to compare with the server timeline), "timeline" never.
+// Pick with ?lipSync=auto|timeline|analyser or the header button.
+const LIP_SYNC_MODES = ["auto", "timeline", "analyser"];
+const ANALYSER_GATE_RMS = 0.015; // quieter than this the mouth rests
+const ANALYSER_FULL_RMS = 0.2;   // level that opens the mouth fully
+const ANALYSER_HOLD_MS = 70;     // shortest time a shape is kept, against flicker
+const ANALYSER_TRANSITION_MS = 50;
+
+// Coarse mouth classes, for comparing the analyser with the timeline
+const VISEME_GROUPS = { M: "closed", B: "teeth", FV: "teeth", L: "teeth", C: "open", A: "open", D: "open", E: "spread", O: "round" };
+
+const lipSyncButton = document.getElementById("lipsync-mode");
+const requestedLipSync = new URLSearchParams(window.location.search).get("lipSync");
+let lipSyncMode = LIP_SYNC_MODES.includes(requestedLipSync) ? requestedLipSync : "auto";
+let analyser = null;
+let externalAudio = null;
+
+function setLipSyncMode(mode) {
+  lipSyncMode = mode;
+  lipSyncButton.textContent = `Lip-sync: ${mode}`;
+}
 
-    lastVisemeChange = now;
+lipSyncButton.addEventListener("click", () => {
+  setLipSyncMode(LIP_SYNC_MODES[(LIP_SYNC_MODES.indexOf(lipSyncMode) + 1) % LIP_SYNC_MODES.length]);
+  log(`lip-sync source: ${lipSyncMode}`, "System:");
+});
+setLipSyncMode(lipSyncMode);
+
+function getAnalyser() {
+  if (!analyser) {
+    const node = getAudioContext().createAnalyser();
+    node.fftSize = 2048; // ~45 ms at 44.1 kHz
+    node.smoothingTimeConstant = 0.5;
+    analyser = {
+      node,
+      samples: new Float32Array(node.fftSize),
+      spectrum: new Float32Array(node.frequencyBinCount),
+      openness: 0,
+      viseme: null,
+      since: 0
+    };
+  }
+  return analyser;
+}
 
-    // Find current viseme using linear search (simpler and reliable)
-    let currentViseme = null;
+function useAnalyserFor(clip) {
+  if (!clip.source) return false;
+  return lipSyncMode === "analyser" || (lipSyncMode === "auto" && !clip.timelineUsable);
+}
 
-    for (let i = 0; i < sortedTimeline.length; i++) {
-      const viseme = sortedTimeline[i];
-      if (audioTime >= viseme.start && audioTime < viseme.end) {
-        currentViseme = viseme.viseme;
-        break;
-      }
+// Mouth shape of the sound being played: { viseme (null = rest), confidence }.
+// The analyser sees samples as they are rendered, so the mouth leads the
+// speakers by the output latency, like VISEME_PRELOAD_MS does for the timeline.
+function analyseMouth() {
+  const a = getAnalyser();
+  a.node.getFloatTimeDomainData(a.samples);
+  let sum = 0;
+  for (let i = 0; i < a.samples.length; i++) sum += a.samples[i] * a.samples[i];
+  const rms = Math.sqrt(sum / a.samples.length);
+
+  // Fast to open, slower to close, like a real jaw
+  const target = Math.min(Math.max((rms - ANALYSER_GATE_RMS) / (ANALYSER_FULL_RMS - ANALYSER_GATE_RMS), 0), 1);
+  a.openness += (target - a.openness) * (target > a.openness ? 0.6 : 0.3);
+
+  let viseme = null;
+  if (rms >= ANALYSER_GATE_RMS) {
+    // Band powers up to 8 kHz: F1 (jaw), F2 (lips/tongue) and fricative hiss
+    a.node.getFloatFrequencyData(a.spectrum);
+    const binHz = getAudioContext().sampleRate / a.node.fftSize;
+    let total = 0, weighted = 0, f2 = 0, hiss = 0;
+    for (let i = 1; i < a.spectrum.length && i * binHz <= 8000; i++) {
+      const hz = i * binHz;
+      const power = 10 ** (a.spectrum[i] / 10);
+      total += power;
+      weighted += power * hz;
+      if (hz >= 1500 && hz < 3500) f2 += power;
+      if (hz >= 4000) hiss += power;
     }
+    const centroid = total ? weighted / total : 0;
+
+    if (total && hiss / total > 0.4) viseme = "B";       // s, z, sh: teeth together
+    else if (centroid < 400 && a.openness < 0.3) viseme = "M"; // nasal hum, lips closed
+    else if (total && f2 / total > 0.3) viseme = "E";    // high F2: spread lips (ee, i)
+    else if (centroid < 800) viseme = "O";               // energy all low: rounded (oo, o)
+    else if (a.openness > 0.7) viseme = "D";
+    else if (a.openness > 0.35) viseme = "A";
+    else viseme = "C";
+  }
 
-    // If no viseme found but audio is still playing
-    if (!currentViseme && audioTime < audioDuration) {
-      // Find the closest upcoming viseme
-      for (let i = 0; i < sortedTimeline.length; i++) {
-        if (sortedTimeline[i].start > audioTime) {
-          // Show rest or keep last
-          currentViseme = "rest";
-          break;
-        }
-      }
-      // If past all visemes but audio still playing, keep last viseme
-      if (!currentViseme && sortedTimeline.length > 0) {
-        currentViseme = sortedTimeline[sortedTimeline.length - 1].viseme;
-      }
-    }
+  const now = performance.now();
+  if (viseme !== a.viseme && now - a.since >= ANALYSER_HOLD_MS) {
+    a.viseme = viseme;
+    a.since = now;
+  }
+  return { viseme: a.viseme, confidence: a.viseme === "M" || a.viseme === "B" ? 1 : 0.3 + 0.7 * a.openness };
+}
 
-    // Update viseme if changed
-    if (currentViseme !== lastViseme) {
-      if (currentViseme === "rest" || !currentViseme) {
-        faceRig.hideVisemes();
-      } else {
-        faceRig.showViseme(currentViseme);
-      }
-      lastViseme = currentViseme;
-    }
+function showAnalysedMouth(heard) {
+  if (!heard.viseme) faceRig.hideVisemes({ transitionMs: ANALYSER_TRANSITION_MS });
+  else faceRig.showViseme(heard.viseme, { confidence: heard.confidence, transitionMs: ANALYSER_TRANSITION_MS });
+}
 
-    // Continue if audio is still playing
-    if (!audioPlayer.ended && audioPlayer.currentTime < audioDuration * 0.99) {
-      activeVisemeTrack = requestAnimationFrame(visemeLoop);
-    } else {
-      // Audio is ending or has ended
-      faceRig.hideVisemes();
-    }
-  }
+// Lip-sync to audio played outside the chat - an <audio>/<video> element or a
+// MediaStream (e.g. a WebRTC call). The analyser drives the mouth whenever no
+// reply is playing. Returns a function that detaches it.
+function attachExternalAudio(input) {
+  const context = getAudioContext();
+  detachExternalAudio();
+
+  const node = input instanceof MediaStream ? context.createMediaStreamSource(input) : context.createMediaElementSource(input);
+  node.connect(getAnalyser().node);
+  // An element's sound now goes through the context; a stream plays elsewhere
+  if (!(input instanceof MediaStream)) node.connect(context.destination);
+
+  externalAudio = { node, frame: null };
+  const frame = () => {
+    if (!externalAudio) return;
+    if (!isPlaying) showAnalysedMouth(analyseMouth());
+    externalAudio.frame = requestAnimationFrame(frame);
+  };
+  externalAudio.frame = requestAnimationFrame(frame);
+  log("lip-sync attached to external audio", "System:");
+  return detachExternalAudio;
+}
 
-  // Start the loop
-  activeVisemeTrack = requestAnimationFrame(visemeLoop);
+function detachExternalAudio() {
+  if (!externalAudio) return;
+  cancelAnimationFrame(externalAudio.frame);
+  // An element stays routed to the speakers (createMediaElementSource is once per element)
+  externalAudio.node.disconnect(getAnalyser().node);
+  if (!isPlaying) faceRig.hideVisemes();
+  externalAudio = null;
 }
 
 // ----------------------------
-// SIMULATE VISEMES (for text-only responses)
+// VISEME PLAYBACK ENGINE - DRIVEN BY THE AUDIO CLOCK
 // ----------------------------
-function simulateVisemes(timeline, playbackId) {
-  if (!timeline || timeline.length === 0) return;
-
+// Every frame shows the shape of the sound being heard: context time minus the
+// output latency, relative to the start of the clip it falls in. Between clips
+// (waiting for a late chunk) the mouth rests.
+function startLipSync(playbackId) {
   stopVisemeTrack();
 
-  const sortedTimeline = [...timeline].sort((a, b) => a.start - b.start);
-  const startTime = Date.now();
-  isPlaying = true;
-  faceRig.startSpeaking();
-
+  let clip = null;
+  let applyCues = null;
   let lastViseme = null;
-  let lastUpdate = 0;
 
-  function simulationLoop() {
-    if (audioPlaybackId !== playbackId || !isPlaying) {
-      faceRig.hideVisemes();
-      return;
-    }
-
-    const elapsed = (Date.now() - startTime) / 1000;
+  function frame() {
+    if (audioPlaybackId !== playbackId) return;
 
-    // Throttle updates to 30fps
-    const now = Date.now();
-    if (now - lastUpdate < 33) {
-      if (isPlaying) {
-        activeVisemeTrack = requestAnimationFrame(simulationLoop);
+    const time = audibleTime();
+    const current = scheduledClips.find(c => time >= c.startAt && time < c.startAt + c.duration) || null;
+
+    if (current !== clip) {
+      // Cues at the very end of the previous clip still apply
+      if (clip) applyCues(Infinity);
+      clip = current;
+      if (clip) {
+        // Each clip starts in its own emotion; inline cues take over from there
+        if (clip.emotion) {
+          currentEmotion = clip.emotion;
+          currentAffect = clip.affect;
+          faceRig.setEmotion(currentEmotion, currentAffect);
+        }
+        applyCues = createCueTracker(clip.cues);
       }
-      return;
     }
-    lastUpdate = now;
 
-    // Find current viseme
-    let currentViseme = null;
+    let viseme = null;
+    let clipTime = 0;
+    if (clip) {
+      clipTime = time - clip.startAt;
+      applyCues(clipTime);
+      viseme = visemeAt(clip.timeline, clipTime);
 
-    for (const viseme of sortedTimeline) {
-      if (elapsed >= viseme.start && elapsed < viseme.end) {
-        currentViseme = viseme.viseme;
-        break;
+      // Before an upcoming viseme: rest. Past all visemes: keep the last one
+      if (!viseme && !clip.timeline.some(v => v.start > clipTime)) {
+        viseme = clip.timeline[clip.timeline.length - 1] || null;
       }
     }
 
-    // Update if changed
-    if (currentViseme !== lastViseme) {
-      if (currentViseme) {
-        faceRig.showViseme(currentViseme);
-      } else {
-        faceRig.hideVisemes();
+    // What the analyser hears, compared with the timeline whenever both exist
+    const heard = clip && clip.source ? analyseMouth() : null;
+    if (heard && clip.timelineUsable) {
+      const expected = viseme ? VISEME_GROUPS[viseme.viseme] || "closed" : "closed";
+      playbackStats.compared++;
+      if ((VISEME_GROUPS[heard.viseme] || "closed") === expected) playbackStats.agreed++;
+    }
+
+    if (clip && useAnalyserFor(clip)) {
+      playbackStats.analysed++;
+      showAnalysedMouth(heard);
+      lastViseme = undefined; // re-apply the timeline shape if the mode changes back
+    } else if (viseme !== lastViseme) {
+      // How late the shape appears compared to when visemeAt first wants it
+      if (viseme) {
+        const due = Math.max(0, viseme.start - VISEME_PRELOAD_MS / 1000);
+        const lag = Math.max(0, clipTime - due) * 1000;
+        playbackStats.switches++;
+        playbackStats.lagSum += lag;
+        playbackStats.lagMax = Math.max(playbackStats.lagMax, lag);
       }
-      lastViseme = currentViseme;
+      applyViseme(viseme);
+      lastViseme = viseme;
     }
 
-    // Continue until timeline ends
-    if (elapsed < sortedTimeline[sortedTimeline.length - 1].end) {
-      activeVisemeTrack = requestAnimationFrame(simulationLoop);
-    } else {
-      // Timeline ended
-      setTimeout(() => {
-        if (audioPlaybackId === playbackId) {
-          faceRig.hideVisemes();
-          faceRig.stopSpeaking();
-          isPlaying = false;
-          log("Simulated lip-sync complete");
-        }
-      }, 100);
+    if (time >= scheduledEnd && !moreChunksExpected()) {
+      reportSync();
+      cleanupPlayback(playbackId);
+      return;
     }
+    // Hidden tabs pause this loop; it resumes at the audio's position
+    activeVisemeTrack = requestAnimationFrame(frame);
   }
 
-  activeVisemeTrack = requestAnimationFrame(simulationLoop);
+  activeVisemeTrack = requestAnimationFrame(frame);
+}
+
+// Lip-sync quality of the reply that just finished
+function reportSync() {
+  const stats = playbackStats;
+  if (!stats) return;
+  const elapsedMs = performance.now() - stats.clockStart;
+  // Audio clock against the page clock; rounded so a tiny negative shows as 0
+  const drift = Math.round(((getAudioContext().currentTime - stats.contextStart) * 1000 - elapsedMs) * 10) / 10 || 0;
+  const parts = [];
+  if (stats.switches) {
+    const lagAvg = stats.lagSum / stats.switches;
+    parts.push(`${stats.switches} shapes, lag avg ${lagAvg.toFixed(1)} ms / max ${stats.lagMax.toFixed(1)} ms`);
+  }
+  if (stats.analysed) parts.push(`${stats.analysed} frames from the audio analyser`);
+  parts.push(`audio clock drift ${drift >= 0 ? "+" : ""}${drift.toFixed(1)} ms over ${(elapsedMs / 1000).toFixed(1)} s`);
+  parts.push(`output latency ${(outputLatency() * 1000).toFixed(0)} ms`);
+  if (stats.gaps) parts.push(`${stats.gaps} gap(s) waiting for chunks (${(stats.gapTime * 1000).toFixed(0)} ms)`);
+  if (stats.compared) parts.push(`analyser matches timeline on ${Math.round((100 * stats.agreed) / stats.compared)}% of frames`);
+  const message = `Lip-sync: ${parts.join(", ")}`;
+  log(message);
 }
 
 // ----------------------------
 // UTILITY FUNCTIONS
 // ----------------------------
-function base64ToBlob(base64, mimeType) {
-  try {
-    const byteCharacters = atob(base64);
-    const byteNumbers = new Array(byteCharacters.length);
+// The server may serve reply audio as Ogg/Opus (AUDIO_FORMAT=opus); browsers
+// that cannot play it ask for WAV
+const AUDIO_FORMAT_PARAM = document.createElement("audio").canPlayType("audio/ogg; codecs=opus") ? "" : "format=wav";
 
-    for (let i = 0; i < byteCharacters.length; i++) {
-      byteNumbers[i] = byteCharacters.charCodeAt(i);
-    }
+function withQuery(url, param) {
+  if (!param) return url;
+  return `${url}${url.includes("?") ? "&" : "?"}${param}`;
+}
 
-    const byteArray = new Uint8Array(byteNumbers);
-    return new Blob([byteArray], { type: mimeType });
-  } catch (e) {
-    console.error("Failed to convert base64 to blob:", e);
-    return null;
+function hasAudio(packet) {
+  return Boolean(packet.audio || packet.audioUrl);
+}
+
+// Reply audio decoded to an AudioBuffer: inline base64 WAV, or downloaded
+// from its audioUrl. Started once per packet and shared.
+function loadReplyAudio(packet) {
+  if (!packet.audioBuffer) {
+    const data = packet.audio
+      ? Promise.resolve().then(() => base64ToArrayBuffer(packet.audio))
+      : fetch(withQuery(`${config.apiBase}${packet.audioUrl}`, AUDIO_FORMAT_PARAM)).then((res) => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.arrayBuffer();
+      });
+    packet.audioBuffer = data.then((bytes) => getAudioContext().decodeAudioData(bytes));
+  }
+  return packet.audioBuffer;
+}
+
+function base64ToArrayBuffer(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
   }
+  return bytes.buffer;
 }
 
 function cleanupPlayback(playbackId) {
@@ -391,7 +1089,9 @@ function cleanupPlayback(playbackId) {
   isPlaying = false;
   faceRig.stopSpeaking();
   stopVisemeTrack();
-  currentTimeline = [];
+  stopVoiceBargeIn();
+  scheduledClips = [];
+  playbackStats = null;
 
   // Remove speaking class
   document.getElementById('avatar').classList.remove('speaking');
@@ -399,7 +1099,7 @@ function cleanupPlayback(playbackId) {
   // Restore full emotion after speech ends
   setTimeout(() => {
     if (audioPlaybackId === playbackId && !isPlaying) {
-      faceRig.setEmotion(currentEmotion);
+      faceRig.setEmotion(currentEmotion, currentAffect);
     }
   }, 100);
 }
@@ -409,16 +1109,21 @@ function cleanupPlayback(playbackId) {
 // ----------------------------
 function stopAllPlayback() {
   stopVisemeTrack();
+  stopVoiceBargeIn();
+  streamRequestId = null;
+  chunkQueue = [];
+  chunkScheduling = false;
   faceRig.stopSpeaking();
+  faceRig.hideVisemes();
   isPlaying = false;
   audioPlaybackId++;
 
-  if (!audioPlayer.paused) {
-    audioPlayer.pause();
-    audioPlayer.currentTime = 0;
-  }
-
-  currentTimeline = [];
+  scheduledClips.forEach(clip => {
+    if (clip.source) clip.source.stop();
+  });
+  scheduledClips = [];
+  scheduledEnd = 0;
+  playbackStats = null;
 
   // Remove speaking class
   document.getElementById('avatar').classList.remove('speaking');
@@ -434,53 +1139,40 @@ function stopVisemeTrack() {
 // ----------------------------
 // KEYBOARD SHORTCUTS
 // ----------------------------
+// Space is push-to-talk only on the page itself or the avatar, so it keeps
+// typing in fields and pressing focused buttons, checkboxes and selects
+function spaceIsPushToTalk() {
+  const focused = document.activeElement;
+  return !focused || focused === document.body || focused === document.getElementById("avatar-canvas");
+}
+
 document.addEventListener('keydown', (e) => {
+  if (e.code === 'Space' && spaceIsPushToTalk()) {
+    e.preventDefault();
+    if (!e.repeat) startRecording();
+    return;
+  }
+
   if (e.key === 'Enter' && !e.shiftKey) {
     e.preventDefault();
     sendMessage();
   }
 
   if (e.key === 'Escape') {
+    interrupt();
     stopAllPlayback();
     log("Playback stopped by user");
   }
 });
 
-// Handle page visibility changes
-document.addEventListener('visibilitychange', () => {
-  if (document.hidden) {
-    // Reduce animation when tab is hidden
-    if (activeVisemeTrack) {
-      cancelAnimationFrame(activeVisemeTrack);
-    }
-  } else {
-    // Restart animation when tab becomes visible
-    if (isPlaying && audioPlaybackId && currentTimeline.length > 0) {
-      playVisemesSync(currentTimeline, audioPlaybackId);
-    }
-  }
+document.addEventListener('keyup', (e) => {
+  if (e.code === 'Space' && recorder) stopRecording();
 });
 
-// Handle audio element errors
-audioPlayer.addEventListener('error', (e) => {
-  const error = audioPlayer.error;
-  let message = "Unknown audio error";
-
-  switch (error.code) {
-    case MediaError.MEDIA_ERR_ABORTED:
-      message = "Playback aborted";
-      break;
-    case MediaError.MEDIA_ERR_NETWORK:
-      message = "Network error";
-      break;
-    case MediaError.MEDIA_ERR_DECODE:
-      message = "Audio decoding error";
-      break;
-    case MediaError.MEDIA_ERR_SRC_NOT_SUPPORTED:
-      message = "Audio format not supported";
-      break;
-  }
-
-  log(`<span style='color:#f44'>Audio error:</span> ${message}`);
-  stopAllPlayback();
+// ----------------------------
+// STARTUP
+// ----------------------------
+loadConfig().then(() => {
+  loadAvatar(AVATAR_ID);
+  connect();
 });
\ No newline at end of file
@@ -0,0 +1,199 @@
+// ===============================
+// Canvas Renderer for FaceRig
+// ===============================
+
+// Every avatar image is a full portrait, but a layer only ever shows one
+// region of it. Textures are cropped to their region and packed into a
+// single atlas canvas, and each frame draws all layers from that atlas.
+
+class CanvasRenderer {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext("2d");
+
+        // ✅ Backing store matches the displayed size (and pixel ratio)
+        this.pixelRatio = options.pixelRatio || window.devicePixelRatio || 1;
+        this.size = options.size || canvas.clientWidth || 500;
+        this.resize(this.size);
+
+        // ✅ Atlas: key -> { x, y, w, h, region } inside this.atlas
+        this.atlas = document.createElement("canvas");
+        this.atlasCtx = this.atlas.getContext("2d");
+        this.atlasWidth = options.atlasWidth || 1024;
+        this.textures = new Map();  // key -> { image, region }
+        this.frames = new Map();
+        this.pending = new Map();   // key -> Promise of in-flight loads
+        this.missing = new Set();
+        this.generation = 0;        // bumped by clear() so stale loads are ignored
+    }
+
+    resize(size) {
+        this.size = size;
+        this.canvas.width = Math.round(size * this.pixelRatio);
+        this.canvas.height = Math.round(size * this.pixelRatio);
+        // Atlas crops are made at output resolution
+        if (this.textures && this.textures.size) this.packAtlas();
+    }
+
+    // =============================================
+    // Texture Loading
+    // =============================================
+    // Load the first candidate image that exists and crop it to `region`
+    // ({ x, y, w, h } as fractions of the image). Resolves to true when loaded.
+    load(key, candidates, region = { x: 0, y: 0, w: 1, h: 1 }) {
+        if (this.textures.has(key)) return Promise.resolve(true);
+        if (this.pending.has(key)) return this.pending.get(key);
+        const generation = this.generation;
+
+        const tryNext = (list) => new Promise((resolve) => {
+            const [src, ...rest] = list;
+            if (!src) {
+                resolve(null);
+                return;
+            }
+            const img = new Image();
+            img.crossOrigin = "anonymous"; // packs may be served by the chat server
+            img.onload = () => resolve(img);
+            img.onerror = () => resolve(tryNext(rest));
+            img.src = src;
+        });
+
+        const promise = tryNext(candidates).then((image) => {
+            if (generation !== this.generation) return false;
+            this.pending.delete(key);
+            if (!image) {
+                this.missing.add(key);
+                console.warn(`Failed to load texture: ${key}`);
+                return false;
+            }
+            this.textures.set(key, { image, region });
+            return true;
+        });
+
+        this.pending.set(key, promise);
+        return promise;
+    }
+
+    // Load a batch of { key, candidates, region } and rebuild the atlas once
+    async preload(entries) {
+        await Promise.all(entries.map(e => this.load(e.key, e.candidates, e.region)));
+        this.packAtlas();
+    }
+
+    // Load a texture that was not preloaded (e.g. an unexpected viseme)
+    ensure(key, candidates, region) {
+        if (this.frames.has(key) || this.missing.has(key) || this.pending.has(key)) return;
+        this.load(key, candidates, region).then((ok) => { if (ok) this.packAtlas(); });
+    }
+
+    // Drop every texture (e.g. when switching to another avatar)
+    clear() {
+        this.generation++;
+        this.textures.clear();
+        this.frames.clear();
+        this.pending.clear();
+        this.missing.clear();
+    }
+
+    isMissing(key) {
+        return this.missing.has(key);
+    }
+
+    has(key) {
+        return this.frames.has(key);
+    }
+
+    // Shelf packing: crops are placed left to right in rows
+    packAtlas() {
+        const scale = this.size * this.pixelRatio;
+        const padding = 2;
+        const frames = new Map();
+        let x = 0;
+        let y = 0;
+        let rowHeight = 0;
+
+        // A full-portrait crop is as wide as the output (size x pixel ratio),
+        // which can exceed the default width - the atlas grows to fit it
+        let width = this.atlasWidth;
+        for (const { region } of this.textures.values()) {
+            width = Math.max(width, Math.ceil(region.w * scale));
+        }
+
+        for (const [key, { region }] of this.textures) {
+            const w = Math.ceil(region.w * scale);
+            const h = Math.ceil(region.h * scale);
+            if (x > 0 && x + w > width) {
+                x = 0;
+                y += rowHeight + padding;
+                rowHeight = 0;
+            }
+            frames.set(key, { x, y, w, h, region });
+            x += w + padding;
+            rowHeight = Math.max(rowHeight, h);
+        }
+
+        this.atlas.width = width;
+        this.atlas.height = Math.max(y + rowHeight, 1);
+        this.atlasCtx.clearRect(0, 0, this.atlas.width, this.atlas.height);
+
+        for (const [key, frame] of frames) {
+            const { image, region } = this.textures.get(key);
+            const iw = image.naturalWidth;
+            const ih = image.naturalHeight;
+            this.atlasCtx.drawImage(
+                image,
+                region.x * iw, region.y * ih, region.w * iw, region.h * ih,
+                frame.x, frame.y, frame.w, frame.h
+            );
+        }
+
+        this.frames = frames;
+    }
+
+    // =============================================
+    // Drawing
+    // =============================================
+    // layers: [{ key, opacity, transform? }] in back-to-front order.
+    // transform ({ x, y, rotate } in CSS px / degrees) applies to the whole
+    // face; a layer's own transform is added on top of it.
+    draw(layers, transform = {}) {
+        const ctx = this.ctx;
+        const scale = this.size * this.pixelRatio;
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        for (const layer of layers) {
+            const frame = this.frames.get(layer.key);
+            if (!frame || layer.opacity <= 0.001) continue;
+
+            this.applyTransform(transform, layer.transform);
+            ctx.globalAlpha = Math.min(layer.opacity, 1);
+            const { region } = frame;
+            ctx.drawImage(
+                this.atlas,
+                frame.x, frame.y, frame.w, frame.h,
+                region.x * scale, region.y * scale, region.w * scale, region.h * scale
+            );
+        }
+
+        ctx.globalAlpha = 1;
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+    }
+
+    // Rotate around the face centre, then offset
+    applyTransform(face, local = {}) {
+        const ratio = this.pixelRatio;
+        const center = this.size * ratio / 2;
+        const x = ((face.x || 0) + (local.x || 0)) * ratio;
+        const y = ((face.y || 0) + (local.y || 0)) * ratio;
+        const angle = ((face.rotate || 0) + (local.rotate || 0)) * Math.PI / 180;
+
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.ctx.translate(center + x, center + y);
+        this.ctx.rotate(angle);
+        this.ctx.translate(-center, -center);
+    }
+}
+
+window.CanvasRenderer = CanvasRenderer;
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+/**
+ * Validate avatar packs.
+ *
+ *   npm run validate-avatar                 # every pack in AVATARS_DIR
+ *   npm run validate-avatar -- default      # a pack by id
+ *   npm run validate-avatar -- ./my-pack    # a pack folder
+ *   npm run validate-avatar -- --strict     # warnings fail too
+ *
+ * Exits with 1 when any pack has errors.
+ */
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+import { validateAvatarPack } from "../lib/avatarValidator.js";
+
+dotenv.config();
+
+const AVATARS_DIR = process.env.AVATARS_DIR ||
+  fileURLToPath(new URL("../../client/assets/avatars", import.meta.url));
+
+const args = process.argv.slice(2);
+const strict = args.includes("--strict");
+const targets = args.filter((a) => !a.startsWith("--"));
+
+function packDirs() {
+  if (targets.length === 0) {
+    try {
+      return fs.readdirSync(AVATARS_DIR, { withFileTypes: true })
+        .filter((e) => e.isDirectory())
+        .map((e) => path.join(AVATARS_DIR, e.name));
+    } catch (err) {
+      console.error(`Cannot read ${AVATARS_DIR}: ${err.message}`);
+      process.exit(1);
+    }
+  }
+  // A folder path, a manifest path, or the id of a pack in AVATARS_DIR
+  return targets.map((t) => {
+    if (fs.existsSync(t)) return fs.statSync(t).isDirectory() ? t : path.dirname(t);
+    return path.join(AVATARS_DIR, t);
+  });
+}
+
+const dirs = packDirs();
+if (dirs.length === 0) {
+  console.error(`No avatar packs found in ${AVATARS_DIR}`);
+  process.exit(1);
+}
+
+let failed = false;
+for (const dir of dirs) {
+  const result = validateAvatarPack(dir);
+  const ok = result.errors.length === 0 && (!strict || result.warnings.length === 0);
+  failed = failed || !ok;
+
+  console.log(`\n${ok ? "OK  " : "FAIL"} ${result.name} (${path.relative(process.cwd(), dir) || "."})`);
+  for (const msg of result.errors) console.log(`  error: ${msg}`);
+  for (const msg of result.warnings) console.log(`  warn:  ${msg}`);
+  console.log(`  ${result.images} images checked, ${result.errors.length} errors, ${result.warnings.length} warnings`);
+}
+
+process.exit(failed ? 1 : 0);
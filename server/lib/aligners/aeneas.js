@@ -0,0 +1,73 @@
+/**
+ * aeneas adapter. aeneas aligns text fragments rather than phones, so the
+ * transcript is split one word per fragment and each word's span is filled
+ * with G2P phonemes.
+ */
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { runProcess } from "./process.js";
+import { textToPhonemeTimeline } from "../g2p.js";
+
+// Spread G2P phonemes of each aligned word across its time span
+export function phonesFromWordSpans(words) {
+  const phones = [];
+  let cursor = 0;
+
+  for (const w of words) {
+    if (w.start > cursor) {
+      phones.push({ phoneme: "SIL", start: Number(cursor.toFixed(3)), end: Number(w.start.toFixed(3)), confidence: 1.0 });
+    }
+    for (const p of textToPhonemeTimeline(w.word, w.end - w.start)) {
+      phones.push({
+        phoneme: p.phoneme,
+        start: Number((p.start + w.start).toFixed(3)),
+        end: Number((p.end + w.start).toFixed(3)),
+        confidence: 0.7
+      });
+    }
+    cursor = w.end;
+  }
+
+  return phones;
+}
+
+// aeneas JSON sync map -> [{ word, start, end }]
+export function wordsFromSyncMap(json) {
+  return (json && Array.isArray(json.fragments) ? json.fragments : [])
+    .map((f) => ({
+      word: (f.lines || []).join(" ").trim(),
+      start: Number(f.begin),
+      end: Number(f.end)
+    }))
+    .filter((w) => w.word && w.end > w.start);
+}
+
+export function createAeneasAligner({ python = "python3", language = "eng", timeoutMs = 60000 }) {
+  return {
+    name: "aeneas",
+
+    async align({ wavPath, transcript, signal }) {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "aeneas_"));
+      const textPath = path.join(dir, "transcript.txt");
+      const outPath = path.join(dir, "syncmap.json");
+
+      try {
+        const words = transcript.split(/\s+/).filter(Boolean);
+        fs.writeFileSync(textPath, words.join("\n"));
+        await runProcess(python, [
+          "-m", "aeneas.tools.execute_task",
+          wavPath,
+          textPath,
+          `task_language=${language}|is_text_type=plain|os_task_file_format=json`,
+          outPath
+        ], { timeoutMs, signal });
+
+        const syncMap = JSON.parse(fs.readFileSync(outPath, "utf8"));
+        return phonesFromWordSpans(wordsFromSyncMap(syncMap));
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    }
+  };
+}
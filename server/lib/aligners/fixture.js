@@ -0,0 +1,48 @@
+/**
+ * Fixture-replay aligner for tests: returns recorded alignments instead of
+ * running a real aligner.
+ *
+ * Fixtures live in a directory, one file per transcript, named after the
+ * transcript slug ("Hello there!" -> hello_there.json / hello_there.TextGrid).
+ * A JSON fixture is either { "phones": [...] }, a Gentle transcription or an
+ * aeneas sync map. A `default.*` fixture is used when no specific one exists.
+ */
+import fs from "fs";
+import path from "path";
+import { phonesFromGentle } from "./gentle.js";
+import { phonesFromTextGrid } from "./mfa.js";
+import { phonesFromWordSpans, wordsFromSyncMap } from "./aeneas.js";
+
+export function fixtureSlug(transcript) {
+  return String(transcript).toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "").slice(0, 80);
+}
+
+function phonesFromFixture(file) {
+  const source = fs.readFileSync(file, "utf8");
+  if (file.endsWith(".TextGrid")) return phonesFromTextGrid(source);
+
+  const json = JSON.parse(source);
+  if (Array.isArray(json.phones)) return json.phones;
+  if (Array.isArray(json.words)) return phonesFromGentle(json);
+  if (Array.isArray(json.fragments)) return phonesFromWordSpans(wordsFromSyncMap(json));
+  throw new Error(`unrecognised fixture format: ${file}`);
+}
+
+export function createFixtureAligner({ dir }) {
+  if (!dir) throw new Error("fixture aligner needs ALIGNER_FIXTURE_DIR");
+
+  return {
+    name: "fixture",
+
+    async align({ transcript }) {
+      const slug = fixtureSlug(transcript);
+      for (const name of [slug, "default"]) {
+        for (const ext of [".json", ".TextGrid"]) {
+          const file = path.join(dir, name + ext);
+          if (fs.existsSync(file)) return phonesFromFixture(file);
+        }
+      }
+      return null;
+    }
+  };
+}
@@ -0,0 +1,107 @@
+/**
+ * Gentle forced aligner adapter (HTTP /transcriptions API).
+ * Start Gentle with: docker run -d -p 8765:8765 lowerquality/gentle:latest
+ */
+import fs from "fs";
+import fetch from "node-fetch";
+import FormData from "form-data";
+import { wordToPhonemes } from "../g2p.js";
+
+function guessPhonemeFromWord(word) {
+  const { phonemes } = wordToPhonemes(word);
+  return phonemes[0] || "AA";
+}
+
+// Convert Gentle's transcription JSON into a phone timeline
+export function phonesFromGentle(json) {
+  const phones = [];
+  if (!json || !Array.isArray(json.words)) return phones;
+
+  let currentTime = 0;
+
+  for (const w of json.words) {
+    if (w.case === "not-found-in-audio" || !w.alignedWord) {
+      // Add default phoneme for non-aligned words
+      phones.push({
+        phoneme: "SIL",
+        start: currentTime,
+        end: currentTime + 0.1,
+        confidence: 0
+      });
+      currentTime += 0.1;
+      continue;
+    }
+
+    if (Array.isArray(w.phones)) {
+      // Gentle gives phone durations only; they run back to back from the word start
+      let phoneTime = typeof w.start === "number" ? w.start : currentTime;
+
+      for (const p of w.phones) {
+        if (!p.phone) continue;
+
+        // Gentle phones look like "hh_B" / "ah_I" - strip the position suffix
+        const phone = String(p.phone).split("_")[0].replace(/\d/g, "").toUpperCase();
+        const start = (typeof p.start === "number") ? p.start : phoneTime;
+        const dur = (typeof p.duration === "number") ? p.duration : 0.05;
+        const end = start + dur;
+
+        phones.push({
+          phoneme: phone,
+          start: Number(start.toFixed(3)),
+          end: Number(end.toFixed(3)),
+          confidence: p.score || 1.0
+        });
+
+        phoneTime = end;
+        currentTime = end;
+      }
+    } else {
+      // Fallback for words without phone breakdown
+      const start = w.start || currentTime;
+      const end = w.end || start + 0.1;
+
+      phones.push({
+        phoneme: w.word ? guessPhonemeFromWord(w.word) : "SIL",
+        start: Number(start.toFixed(3)),
+        end: Number(end.toFixed(3)),
+        confidence: 0.5
+      });
+
+      currentTime = end;
+    }
+  }
+
+  return phones;
+}
+
+export function createGentleAligner({ url, timeoutMs = 10000 }) {
+  return {
+    name: "gentle",
+
+    async align({ wavPath, transcript, signal }) {
+      const form = new FormData();
+      form.append("audio", fs.createReadStream(wavPath));
+      form.append("transcript", transcript);
+
+      const controller = new AbortController();
+      const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+      try {
+        const res = await fetch(url, {
+          method: "POST",
+          body: form,
+          headers: form.getHeaders(),
+          signal: signal ? AbortSignal.any([controller.signal, signal]) : controller.signal
+        });
+
+        if (!res.ok) {
+          throw new Error(`Gentle HTTP error ${res.status}: ${await res.text()}`);
+        }
+
+        return phonesFromGentle(await res.json());
+      } finally {
+        clearTimeout(timeout);
+      }
+    }
+  };
+}
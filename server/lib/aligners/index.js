@@ -0,0 +1,48 @@
+/**
+ * Forced-aligner chain. Each adapter exposes `align({ wavPath, transcript, signal })`
+ * resolving to a phone timeline [{ phoneme, start, end, confidence }].
+ * Adapters are tried in the configured order until one returns phones.
+ */
+import { createGentleAligner } from "./gentle.js";
+import { createMfaAligner } from "./mfa.js";
+import { createAeneasAligner } from "./aeneas.js";
+import { createFixtureAligner } from "./fixture.js";
+
+const ALIGNERS = {
+  gentle: createGentleAligner,
+  mfa: createMfaAligner,
+  aeneas: createAeneasAligner,
+  fixture: createFixtureAligner
+};
+
+/**
+ * `order` is a list of adapter names; `config[name]` holds each adapter's settings.
+ */
+export function createAlignerChain(order, config = {}) {
+  const chain = order.map((name) => {
+    if (!ALIGNERS[name]) {
+      throw new Error(`Unknown aligner "${name}" (expected one of: ${Object.keys(ALIGNERS).join(", ")})`);
+    }
+    return ALIGNERS[name](config[name] || {});
+  });
+
+  return {
+    names: chain.map((a) => a.name),
+
+    // Resolves to { phones, source } or null when every adapter failed
+    async align(input) {
+      for (const aligner of chain) {
+        try {
+          const phones = await aligner.align(input);
+          if (phones && phones.length) return { phones, source: aligner.name };
+          console.warn(`Aligner ${aligner.name} returned no phones`);
+        } catch (err) {
+          // A cancelled request stops the chain instead of trying the next adapter
+          if (input.signal && input.signal.aborted) throw err;
+          console.warn(`Aligner ${aligner.name} failed:`, err.message || err);
+        }
+      }
+      return null;
+    }
+  };
+}
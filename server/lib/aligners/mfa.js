@@ -0,0 +1,81 @@
+/**
+ * Montreal Forced Aligner adapter. Runs `mfa align_one` on the TTS audio and
+ * reads the phone tier of the resulting TextGrid.
+ *
+ * Requires MFA with a downloaded dictionary and acoustic model, e.g.
+ *   mfa model download dictionary english_us_arpa
+ *   mfa model download acoustic english_us_arpa
+ */
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { runProcess } from "./process.js";
+
+/**
+ * Parse a Praat TextGrid (long text format) into
+ * { tierName: [{ start, end, text }] }.
+ */
+export function parseTextGrid(source) {
+  const tiers = {};
+  let current = null;
+  let interval = null;
+
+  for (const raw of String(source).split(/\r?\n/)) {
+    const line = raw.trim();
+    let m;
+
+    if ((m = /^name = "(.*)"$/.exec(line))) {
+      current = tiers[m[1]] = [];
+      interval = null;
+    } else if (/^intervals \[\d+\]:?$/.test(line) && current) {
+      interval = { start: 0, end: 0, text: "" };
+      current.push(interval);
+    } else if (interval && (m = /^xmin = ([\d.eE+-]+)$/.exec(line))) {
+      interval.start = Number(m[1]);
+    } else if (interval && (m = /^xmax = ([\d.eE+-]+)$/.exec(line))) {
+      interval.end = Number(m[1]);
+    } else if (interval && (m = /^text = "(.*)"$/.exec(line))) {
+      interval.text = m[1].replace(/""/g, "\"");
+    }
+  }
+
+  return tiers;
+}
+
+// Phone timeline from a TextGrid's phone tier; empty intervals are silences
+export function phonesFromTextGrid(source) {
+  const tiers = parseTextGrid(source);
+  const tier = tiers.phones || tiers.phone ||
+    Object.entries(tiers).find(([name]) => /phone/i.test(name))?.[1];
+  if (!tier) return [];
+
+  return tier.map((iv) => {
+    const label = iv.text.trim().replace(/\d/g, "").toUpperCase();
+    return {
+      phoneme: !label || label === "SP" || label === "SIL" ? "SIL" : (label === "SPN" ? "SPN" : label),
+      start: Number(iv.start.toFixed(3)),
+      end: Number(iv.end.toFixed(3)),
+      confidence: 1.0
+    };
+  });
+}
+
+export function createMfaAligner({ bin = "mfa", dictionary = "english_us_arpa", acousticModel = "english_us_arpa", timeoutMs = 60000 }) {
+  return {
+    name: "mfa",
+
+    async align({ wavPath, transcript, signal }) {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "mfa_"));
+      const textPath = path.join(dir, "transcript.txt");
+      const outPath = path.join(dir, "alignment.TextGrid");
+
+      try {
+        fs.writeFileSync(textPath, transcript);
+        await runProcess(bin, ["align_one", wavPath, textPath, dictionary, acousticModel, outPath], { timeoutMs, signal });
+        return phonesFromTextGrid(fs.readFileSync(outPath, "utf8"));
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    }
+  };
+}
@@ -0,0 +1,26 @@
+/**
+ * Run a local binary (aligner, speech-to-text, ffmpeg) with a timeout.
+ * Resolves to its stdout; stderr is collected for errors.
+ */
+import { spawn } from "child_process";
+
+export function runProcess(bin, args, { timeoutMs = 60000, cwd, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(bin, args, { cwd, signal, killSignal: "SIGKILL", stdio: ["ignore", "pipe", "pipe"] });
+    let stdout = "";
+    let stderr = "";
+    const timer = setTimeout(() => child.kill("SIGKILL"), timeoutMs);
+
+    child.stdout.on("data", (d) => { stdout += d; });
+    child.stderr.on("data", (d) => { stderr += d; });
+    child.on("error", (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    child.on("close", (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) return resolve(stdout);
+      reject(new Error(`${bin} ${signal ? `killed (${signal})` : `exited with ${code}`}: ${stderr.trim().slice(-500)}`));
+    });
+  });
+}
@@ -0,0 +1,206 @@
+/**
+ * PCM analysis of the TTS audio for aligner-free lip-sync.
+ *
+ * Frame-level RMS energy is used to find where speech actually happens, and a
+ * text-derived phoneme timeline is warped onto those speech regions so the
+ * mouth rests during real silences and punctuation pauses land on them.
+ */
+import { parseWav } from "./wav.js";
+
+// Decode the WAV data chunk to mono float samples in [-1, 1]
+export function readPcmSamples(wavBuffer) {
+  const info = parseWav(wavBuffer);
+  const { channels, bitsPerSample, audioFormat, dataOffset, dataLength } = info;
+  const bytes = bitsPerSample / 8;
+  const frameCount = Math.floor(dataLength / (bytes * channels));
+  const samples = new Float32Array(frameCount);
+  const isFloat = audioFormat === 3;
+
+  for (let i = 0; i < frameCount; i++) {
+    let sum = 0;
+    for (let c = 0; c < channels; c++) {
+      const pos = dataOffset + (i * channels + c) * bytes;
+      if (isFloat && bytes === 4) sum += wavBuffer.readFloatLE(pos);
+      else if (bytes === 1) sum += (wavBuffer.readUInt8(pos) - 128) / 128;
+      else if (bytes === 2) sum += wavBuffer.readInt16LE(pos) / 32768;
+      else if (bytes === 3) sum += wavBuffer.readIntLE(pos, 3) / 8388608;
+      else if (bytes === 4) sum += wavBuffer.readInt32LE(pos) / 2147483648;
+    }
+    samples[i] = sum / channels;
+  }
+
+  return { samples, sampleRate: info.sampleRate, duration: frameCount / info.sampleRate };
+}
+
+// RMS energy per frame
+export function frameEnergy(samples, sampleRate, frameMs = 10) {
+  const frameSize = Math.max(1, Math.round(sampleRate * frameMs / 1000));
+  const frames = Math.ceil(samples.length / frameSize);
+  const rms = new Float32Array(frames);
+
+  for (let f = 0; f < frames; f++) {
+    const start = f * frameSize;
+    const end = Math.min(start + frameSize, samples.length);
+    let sum = 0;
+    for (let i = start; i < end; i++) sum += samples[i] * samples[i];
+    rms[f] = Math.sqrt(sum / Math.max(end - start, 1));
+  }
+
+  return { rms, frameDuration: frameSize / sampleRate };
+}
+
+/**
+ * Find speech segments from frame energies.
+ * The threshold sits between the noise floor (10th percentile) and the speech
+ * level (90th percentile); short gaps are bridged and short blips dropped.
+ */
+export function detectVoiceActivity(rms, frameDuration, options = {}) {
+  const { minSilence = 0.08, minSpeech = 0.05, ratio = 0.15 } = options;
+  if (rms.length === 0) return [];
+
+  const sorted = Array.from(rms).sort((a, b) => a - b);
+  const floor = sorted[Math.floor(sorted.length * 0.1)];
+  const peak = sorted[Math.floor(sorted.length * 0.9)];
+  if (peak <= 1e-4) return []; // silent audio
+  const threshold = Math.max(floor + (peak - floor) * ratio, 1e-3);
+
+  const segments = [];
+  let start = -1;
+  for (let f = 0; f <= rms.length; f++) {
+    const voiced = f < rms.length && rms[f] >= threshold;
+    if (voiced && start < 0) start = f;
+    if (!voiced && start >= 0) {
+      segments.push({ start: start * frameDuration, end: f * frameDuration });
+      start = -1;
+    }
+  }
+
+  // Bridge gaps too short to be a pause
+  const merged = [];
+  for (const seg of segments) {
+    const prev = merged[merged.length - 1];
+    if (prev && seg.start - prev.end < minSilence) prev.end = seg.end;
+    else merged.push({ ...seg });
+  }
+
+  return merged
+    .filter((seg) => seg.end - seg.start >= minSpeech)
+    .map((seg) => ({ start: Number(seg.start.toFixed(3)), end: Number(seg.end.toFixed(3)) }));
+}
+
+export function analyzeSpeech(wavBuffer, options = {}) {
+  const { samples, sampleRate, duration } = readPcmSamples(wavBuffer);
+  const { rms, frameDuration } = frameEnergy(samples, sampleRate, options.frameMs);
+  return {
+    duration,
+    frameDuration,
+    rms,
+    segments: detectVoiceActivity(rms, frameDuration, options)
+  };
+}
+
+// Map a position along the concatenated speech (seconds of speech) to audio time.
+// A position exactly on a boundary belongs to the earlier segment for ends and
+// to the later segment for starts.
+function speechToAudioTime(segments, t, isStart = false) {
+  let remaining = t;
+  for (let i = 0; i < segments.length; i++) {
+    const len = segments[i].end - segments[i].start;
+    const inside = isStart ? remaining < len - 1e-6 : remaining <= len + 1e-6;
+    if (inside || i === segments.length - 1) {
+      return { time: segments[i].start + Math.min(remaining, len), segment: i };
+    }
+    remaining -= len;
+  }
+  return { time: 0, segment: 0 };
+}
+
+// Piecewise-linear interpolation through sorted [x, y] anchors
+function interpolate(anchors, x) {
+  for (let i = 1; i < anchors.length; i++) {
+    const [x0, y0] = anchors[i - 1];
+    const [x1, y1] = anchors[i];
+    if (x <= x1) return x1 === x0 ? y0 : y0 + (x - x0) * (y1 - y0) / (x1 - x0);
+  }
+  return anchors[anchors.length - 1][1];
+}
+
+/**
+ * Warp a text-derived phoneme timeline ([{ phoneme, start, end, ... }], with
+ * "SIL" pauses) onto detected speech segments.
+ *
+ * Phonemes are laid out along the speech-only time axis; punctuation pauses
+ * (SIL entries of at least `pauseMin` seconds) are anchored to the nearest
+ * detected silence in order, and every detected silence becomes a SIL entry.
+ */
+export function warpTimeline(phones, segments, duration, { pauseMin = 0.1, maxDrift = 0.15 } = {}) {
+  if (!phones || phones.length === 0 || !segments || segments.length === 0) return phones;
+
+  // Text axis: speaking time only, noting where the long pauses fall
+  let textSpeech = 0;
+  const textPauses = [];
+  const spoken = [];
+  for (const p of phones) {
+    const len = p.end - p.start;
+    if (p.phoneme === "SIL") {
+      if (len >= pauseMin) textPauses.push(textSpeech);
+      continue;
+    }
+    spoken.push({ ...p, from: textSpeech, to: textSpeech + len });
+    textSpeech += len;
+  }
+  if (spoken.length === 0 || textSpeech <= 0) return phones;
+
+  // Audio axis: speaking time only, noting where the detected gaps fall
+  const audioSpeech = segments.reduce((sum, s) => sum + (s.end - s.start), 0);
+  const audioGaps = [];
+  let acc = 0;
+  for (let i = 0; i < segments.length - 1; i++) {
+    acc += segments[i].end - segments[i].start;
+    audioGaps.push(acc);
+  }
+
+  // Match text pauses to audio gaps in order, when they are close enough (as fractions)
+  const anchors = [[0, 0]];
+  let g = 0;
+  for (const pause of textPauses) {
+    const u = pause / textSpeech;
+    while (g < audioGaps.length && audioGaps[g] / audioSpeech < u - maxDrift) g++;
+    if (g < audioGaps.length && Math.abs(audioGaps[g] / audioSpeech - u) <= maxDrift) {
+      anchors.push([pause, audioGaps[g]]);
+      g++;
+    }
+  }
+  anchors.push([textSpeech, audioSpeech]);
+
+  const warped = [];
+  for (const p of spoken) {
+    const start = speechToAudioTime(segments, interpolate(anchors, p.from), true);
+    let end = speechToAudioTime(segments, interpolate(anchors, p.to));
+    // A phoneme never spans a detected silence - cut it at the end of its segment
+    if (end.segment !== start.segment) {
+      end = { time: segments[start.segment].end, segment: start.segment };
+    }
+    if (end.time - start.time < 0.005) continue;
+
+    const { from, to, ...phone } = p;
+    warped.push({ ...phone, start: start.time, end: end.time });
+  }
+
+  // Detected silences (leading, between segments, trailing) become rests
+  const silences = [];
+  if (segments[0].start > 0) silences.push({ start: 0, end: segments[0].start });
+  for (let i = 0; i < segments.length - 1; i++) {
+    silences.push({ start: segments[i].end, end: segments[i + 1].start });
+  }
+  const last = segments[segments.length - 1].end;
+  if (duration > last) silences.push({ start: last, end: duration });
+
+  for (const s of silences) {
+    warped.push({ phoneme: "SIL", start: s.start, end: s.end, confidence: 1.0 });
+  }
+
+  return warped
+    .sort((a, b) => a.start - b.start)
+    .map((p) => ({ ...p, start: Number(p.start.toFixed(3)), end: Number(p.end.toFixed(3)) }));
+}
@@ -0,0 +1,35 @@
+/**
+ * Reply audio as served by GET /audio: the TTS WAV as it is, or re-encoded to
+ * Ogg/Opus with ffmpeg, which is a fraction of the size for speech.
+ */
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { runProcess } from "./aligners/process.js";
+
+export const AUDIO_FORMATS = {
+  wav: { contentType: "audio/wav" },
+  opus: { contentType: "audio/ogg; codecs=opus", ext: "ogg" }
+};
+
+export async function encodeAudio(wav, format, { ffmpegPath = "ffmpeg", bitrate = "32k", timeoutMs = 30000 } = {}) {
+  if (format === "wav") return wav;
+  if (!AUDIO_FORMATS[format]) throw new Error(`unknown audio format "${format}"`);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "audio_"));
+  const inPath = path.join(dir, "input.wav");
+  const outPath = path.join(dir, `audio.${AUDIO_FORMATS[format].ext}`);
+  try {
+    fs.writeFileSync(inPath, wav);
+    await runProcess(ffmpegPath, [
+      "-hide_banner", "-loglevel", "error", "-y", "-i", inPath,
+      "-c:a", "libopus", "-b:a", bitrate, "-application", "voip", outPath
+    ], { timeoutMs });
+    return fs.readFileSync(outPath);
+  } catch (err) {
+    if (err.code === "ENOENT") throw new Error(`ffmpeg not found (${ffmpegPath}); set FFMPEG_PATH or AUDIO_FORMAT=wav`);
+    throw err;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
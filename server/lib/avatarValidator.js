@@ -0,0 +1,173 @@
+/**
+ * Checks an avatar pack (see lib/avatars.js) before it ships: every image the
+ * manifest references must exist and be readable, images must line up with
+ * the base face, and every viseme the server can emit needs a mouth image.
+ */
+import fs from "fs";
+import path from "path";
+import { readPngInfo } from "./png.js";
+import { emittableVisemes, VISEME_SET } from "./visemeSet.js";
+import { EMOTIONS } from "./replyParser.js";
+
+const FEATURES = ["brow", "eyes", "mouth"];
+
+function checkRegion(name, region, report) {
+  if (!region || typeof region !== "object") {
+    report.error(`regions.${name} is missing`);
+    return;
+  }
+  for (const key of ["x", "y", "w", "h"]) {
+    const v = region[key];
+    if (typeof v !== "number" || v < 0 || v > 1) {
+      report.error(`regions.${name}.${key} must be a fraction between 0 and 1`);
+      return;
+    }
+  }
+  if (region.x + region.w > 1 || region.y + region.h > 1) {
+    report.error(`regions.${name} reaches outside the image`);
+  }
+}
+
+/**
+ * Validate the pack in `dir` (the folder holding manifest.json).
+ * Returns { name, errors, warnings, images } - a pack is valid when errors is empty.
+ */
+export function validateAvatarPack(dir) {
+  const errors = [];
+  const warnings = [];
+  const report = { error: (m) => errors.push(m), warn: (m) => warnings.push(m) };
+  const result = { dir, name: path.basename(dir), errors, warnings, images: 0 };
+
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(path.join(dir, "manifest.json"), "utf8"));
+  } catch (err) {
+    report.error(`manifest.json: ${err.code === "ENOENT" ? "not found" : err.message}`);
+    return result;
+  }
+  result.name = manifest.name || result.name;
+
+  const root = path.resolve(dir, manifest.root || ".");
+  const sizes = new Map(); // file -> { width, height } or null when unreadable
+
+  // Read one image; returns its size or null (and records why)
+  function inspect(label, file) {
+    if (typeof file !== "string" || !file) {
+      report.error(`${label}: no image path`);
+      return null;
+    }
+    if (sizes.has(file)) return sizes.get(file);
+
+    const full = path.resolve(root, file);
+    let info = null;
+    if (!fs.existsSync(full)) {
+      report.error(`${label}: ${file} does not exist`);
+    } else if (path.extname(file).toLowerCase() !== ".png") {
+      report.warn(`${label}: ${file} is not a PNG, dimensions not checked`);
+    } else {
+      try {
+        info = readPngInfo(fs.readFileSync(full));
+        result.images++;
+      } catch (err) {
+        report.error(`${label}: ${file} is not a readable PNG (${err.message})`);
+      }
+    }
+    sizes.set(file, info);
+    return info;
+  }
+
+  // Candidate lists: the first existing file is used, later ones are fallbacks
+  function inspectCandidates(label, paths) {
+    const list = [].concat(paths || []);
+    const existing = list.find((p) => typeof p === "string" && fs.existsSync(path.resolve(root, p)));
+    if (!existing) {
+      if (list.length) report.error(`${label}: none of ${list.join(", ")} exist`);
+      return null;
+    }
+    return { file: existing, info: inspect(label, existing) };
+  }
+
+  // Base face
+  const base = inspect("base", manifest.base);
+  const images = [];
+
+  // Layer anchors
+  for (const name of FEATURES) checkRegion(name, manifest.regions && manifest.regions[name], report);
+
+  // Emotions
+  const emotions = manifest.emotions || {};
+  if (!emotions.neutral) report.error("emotions.neutral is required (it is the fallback for every feature)");
+  for (const [emotion, features] of Object.entries(emotions)) {
+    if (!EMOTIONS.includes(emotion)) report.warn(`emotions.${emotion} is never sent by the server`);
+    for (const feature of FEATURES) {
+      const label = `emotions.${emotion}.${feature}`;
+      if (!features || !features[feature]) {
+        if (emotion === "neutral") report.error(`${label} is missing`);
+        else report.warn(`${label} is missing, neutral is used`);
+        continue;
+      }
+      const found = inspectCandidates(label, features[feature]);
+      if (found) images.push({ label, ...found });
+    }
+  }
+  for (const emotion of EMOTIONS) {
+    if (!emotions[emotion]) report.warn(`emotion "${emotion}" has no images, neutral is used`);
+  }
+
+  // Visemes: everything the phoneme map can emit, except rest
+  const visemes = manifest.visemes || {};
+  const visemeImages = visemes.images || {};
+  if ((visemes.rest || "rest") !== VISEME_SET.rest) {
+    report.error(`visemes.rest is "${visemes.rest}", the server sends "${VISEME_SET.rest}"`);
+  }
+  if (visemes.set && visemes.set !== VISEME_SET.name) {
+    report.warn(`visemes.set is "${visemes.set}", the server uses "${VISEME_SET.name}"`);
+  }
+  for (const id of emittableVisemes()) {
+    if (id === VISEME_SET.rest) continue;
+    if (!visemeImages[id]) report.error(`viseme "${id}" can be emitted but has no image`);
+  }
+  for (const [id, file] of Object.entries(visemeImages)) {
+    const label = `visemes.images.${id}`;
+    const info = inspect(label, file);
+    if (info) images.push({ label, file, info });
+  }
+
+  // Blink frames
+  const frames = (manifest.blink && manifest.blink.frames) || {};
+  for (const feature of FEATURES) {
+    if (!frames[feature]) {
+      report.warn(`blink.frames.${feature} is missing, that feature will not blink`);
+      continue;
+    }
+    const label = `blink.frames.${feature}`;
+    const info = inspect(label, frames[feature]);
+    if (info) images.push({ label, file: frames[feature], info });
+  }
+
+  // Every layer is drawn over the whole face, so its shape must match the base.
+  // A different resolution with the same aspect ratio is scaled and only warned
+  // about, once per size.
+  if (base) {
+    const baseSize = `${base.width}x${base.height}`;
+    const scaled = new Map(); // size -> files
+    for (const { label, file, info } of images) {
+      if (!info || (info.width === base.width && info.height === base.height)) continue;
+
+      const size = `${info.width}x${info.height}`;
+      if (Math.abs(info.width / info.height - base.width / base.height) > 0.01) {
+        report.error(`${label}: ${file} is ${size}, which does not line up with the ${baseSize} base face`);
+        continue;
+      }
+      if (!scaled.has(size)) scaled.set(size, new Set());
+      scaled.get(size).add(file);
+    }
+    for (const [size, files] of scaled) {
+      const list = [...files];
+      const shown = list.slice(0, 3).join(", ") + (list.length > 3 ? `, +${list.length - 3} more` : "");
+      report.warn(`${list.length} images are ${size} and get scaled to the ${baseSize} base face (${shown})`);
+    }
+  }
+
+  return result;
+}
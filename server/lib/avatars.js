@@ -0,0 +1,65 @@
+/**
+ * Avatar packs: one directory per character under AVATARS_DIR, each with a
+ * manifest.json describing its images, feature regions, emotion and viseme
+ * sets, blink frames and idle motion.
+ *
+ * Image paths in a manifest are relative to its `root` (itself relative to
+ * the manifest). When served, `root` is rewritten to the pack's file route so
+ * clients can load the images from this server.
+ */
+import fs from "fs";
+import path from "path";
+
+const ID_RE = /^[\w-]+$/;
+
+export function createAvatarStore({ dir }) {
+  const root = path.resolve(dir);
+
+  function readManifest(id) {
+    if (!ID_RE.test(id)) return null;
+    const file = path.join(root, id, "manifest.json");
+    try {
+      return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") console.warn(`Avatar ${id}: invalid manifest:`, err.message);
+      return null;
+    }
+  }
+
+  return {
+    dir: root,
+
+    // Summaries of every pack with a readable manifest
+    list() {
+      let entries = [];
+      try {
+        entries = fs.readdirSync(root, { withFileTypes: true });
+      } catch (err) {
+        console.warn("Avatar directory unreadable:", err.message);
+        return [];
+      }
+
+      return entries
+        .filter((e) => e.isDirectory())
+        .map((e) => ({ id: e.name, manifest: readManifest(e.name) }))
+        .filter((a) => a.manifest)
+        .map(({ id, manifest }) => ({
+          id,
+          name: manifest.name || id,
+          version: manifest.version || 1,
+          emotions: Object.keys(manifest.emotions || {}),
+          visemeSet: (manifest.visemes && manifest.visemes.set) || null
+        }));
+    },
+
+    // { manifest, assetRoot } or null; assetRoot is where the image paths point
+    get(id) {
+      const manifest = readManifest(id);
+      if (!manifest) return null;
+      return {
+        manifest: { ...manifest, id },
+        assetRoot: path.resolve(root, id, manifest.root || ".")
+      };
+    }
+  };
+}
@@ -0,0 +1,80 @@
+/**
+ * WebSocket client registry: which sockets belong to which conversation.
+ *
+ * A socket registers the session it chats in, so a reply goes only to that
+ * session's sockets (e.g. one browser tab) instead of every connected client.
+ * Sockets may also join a room; replies of any session chatting from a room are
+ * copied to every socket in it, for shared displays.
+ *
+ * A socket also picks how it gets reply audio: "inline" (base64 WAV in the
+ * message) or "url" (only an audioUrl to fetch from GET /audio).
+ */
+
+const ID_RE = /^[\w.:-]{1,128}$/;
+export const AUDIO_MODES = ["inline", "url"];
+
+// A short id (session, room or request) as sent by a client, or null
+export function cleanId(value) {
+  return typeof value === "string" && ID_RE.test(value) ? value : null;
+}
+
+export class ClientRegistry {
+  constructor() {
+    this.clients = new Map(); // socket -> { sessionId, room, audio }
+  }
+
+  // Unknown or malformed ids are stored as null; the audio mode is kept unless given
+  register(socket, { sessionId, room, audio } = {}) {
+    const previous = this.clients.get(socket);
+    const client = {
+      sessionId: cleanId(sessionId),
+      room: cleanId(room),
+      audio: AUDIO_MODES.includes(audio) ? audio : (previous && previous.audio) || "inline"
+    };
+    this.clients.set(socket, client);
+    return client;
+  }
+
+  unregister(socket) {
+    this.clients.delete(socket);
+  }
+
+  get(socket) {
+    return this.clients.get(socket) || null;
+  }
+
+  // Sockets that should see replies of `sessionId`
+  recipients(sessionId) {
+    const rooms = new Set();
+    for (const client of this.clients.values()) {
+      if (client.sessionId === sessionId && client.room) rooms.add(client.room);
+    }
+
+    const sockets = [];
+    for (const [socket, client] of this.clients) {
+      if (client.sessionId === sessionId || (client.room && rooms.has(client.room))) sockets.push(socket);
+    }
+    return sockets;
+  }
+
+  // Send to the session's sockets (and its rooms). `msg` is a string, or a
+  // function of the client giving one. Returns how many got it.
+  send(sessionId, msg) {
+    let count = 0;
+    for (const socket of this.recipients(sessionId)) {
+      if (socket.readyState === 1) {
+        socket.send(typeof msg === "function" ? msg(this.clients.get(socket)) : msg);
+        count++;
+      }
+    }
+    return count;
+  }
+
+  rooms() {
+    const counts = {};
+    for (const client of this.clients.values()) {
+      if (client.room) counts[client.room] = (counts[client.room] || 0) + 1;
+    }
+    return counts;
+  }
+}
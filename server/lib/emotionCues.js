@@ -0,0 +1,65 @@
+/**
+ * Inline emotion markers and their time-stamped cues.
+ *
+ * The model may switch emotion inside a reply with markers such as "[happy]",
+ * "[sad 0.4]" or "[angry:0.8]". Markers are stripped before the text is
+ * spoken; each one becomes a cue at the start time of the word that follows
+ * it, so the client can change expression while the audio plays.
+ */
+import { EMOTIONS, normalizeAffect } from "./replyParser.js";
+
+const MARKER_RE = new RegExp(`\\[\\s*(${EMOTIONS.join("|")})(?:\\s*[:\\s]\\s*(\\d*\\.?\\d+))?\\s*\\]`, "gi");
+
+// Words are counted the same way the G2P engine tokenizes them
+const WORD_RE = /[A-Za-z0-9']+/g;
+
+function countWords(text) {
+  return (text.match(WORD_RE) || []).length;
+}
+
+/**
+ * Remove markers from `text`.
+ * Returns { text, markers } where each marker is { emotion, intensity, wordIndex }
+ * and wordIndex is the index of the first word spoken after the marker.
+ */
+export function parseEmotionMarkers(text) {
+  const source = String(text || "");
+  const markers = [];
+  let stripped = "";
+  let last = 0;
+  let m;
+
+  MARKER_RE.lastIndex = 0;
+  while ((m = MARKER_RE.exec(source)) !== null) {
+    stripped += source.slice(last, m.index) + " ";
+    last = m.index + m[0].length;
+    const intensity = m[2] !== undefined ? Number(m[2]) : undefined;
+    markers.push({ emotion: m[1].toLowerCase(), intensity, wordIndex: countWords(stripped) });
+  }
+  stripped += source.slice(last);
+
+  return { text: stripped.replace(/\s+([,.;:!?])/g, "$1").replace(/\s+/g, " ").trim(), markers };
+}
+
+export function stripEmotionMarkers(text) {
+  return parseEmotionMarkers(text).text;
+}
+
+/**
+ * Turn markers into cues using the start time of every spoken word
+ * (`wordStarts[i]` = start of word i in seconds).
+ * Returns [{ time, emotion, intensity, secondary, secondaryIntensity }].
+ */
+export function buildEmotionCues(markers, wordStarts, duration) {
+  const cues = [];
+  for (const marker of markers) {
+    // A trailing marker has no word after it - it takes effect at the end
+    const time = marker.wordIndex < wordStarts.length ? wordStarts[marker.wordIndex] : duration;
+    const cue = { time: Number(Math.max(time || 0, 0).toFixed(3)), ...normalizeAffect(marker) };
+
+    // Several markers before the same word: the last one wins
+    if (cues.length && cues[cues.length - 1].time === cue.time) cues.pop();
+    cues.push(cue);
+  }
+  return cues;
+}
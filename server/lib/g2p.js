@@ -0,0 +1,274 @@
+/**
+ * Offline grapheme-to-phoneme conversion for viseme timing when no forced
+ * aligner is available.
+ *
+ * Words are looked up in a CMU-style pronouncing dictionary (a built-in list
+ * of common words, optionally extended with a full cmudict via CMUDICT_PATH).
+ * Unknown words go through letter-to-sound rules. The resulting ARPAbet
+ * phonemes get durations by phoneme class and are scaled to the audio length.
+ */
+import fs from "fs";
+
+const BUILTIN_DICT = new URL("../data/cmudict-common.txt", import.meta.url);
+
+// ---------------------------
+// Pronouncing dictionary
+// ---------------------------
+const dictionary = new Map();
+
+function loadDictionary(file) {
+  let count = 0;
+  const text = fs.readFileSync(file, "latin1");
+  for (const line of text.split(/\r?\n/)) {
+    if (!line || line.startsWith(";;;")) continue;
+    const [word, ...phones] = line.trim().split(/\s+/);
+    if (!word || phones.length === 0) continue;
+    // cmudict lists variants as WORD(2) - keep the first pronunciation
+    if (/\(\d+\)$/.test(word)) continue;
+    dictionary.set(word.toLowerCase(), phones.map((p) => p.replace(/\d/g, "")));
+    count++;
+  }
+  return count;
+}
+
+loadDictionary(BUILTIN_DICT);
+if (process.env.CMUDICT_PATH) {
+  try {
+    const count = loadDictionary(process.env.CMUDICT_PATH);
+    console.log(`G2P: loaded ${count} entries from ${process.env.CMUDICT_PATH}`);
+  } catch (err) {
+    console.warn("G2P: could not load CMUDICT_PATH:", err.message);
+  }
+}
+
+// ---------------------------
+// Letter-to-sound rules
+// ---------------------------
+const VOWELS = "aeiouy";
+
+// Longest match first; `when` can restrict a rule by position
+const LETTER_RULES = [
+  { g: "tion", ph: ["SH", "AH", "N"] },
+  { g: "sion", ph: ["ZH", "AH", "N"] },
+  { g: "ough", ph: ["AO"] },
+  { g: "igh", ph: ["AY"] },
+  { g: "tch", ph: ["CH"] },
+  { g: "dge", ph: ["JH"] },
+  { g: "th", ph: ["TH"] },
+  { g: "sh", ph: ["SH"] },
+  { g: "ch", ph: ["CH"] },
+  { g: "ph", ph: ["F"] },
+  { g: "wh", ph: ["W"] },
+  { g: "ck", ph: ["K"] },
+  { g: "ng", ph: ["NG"] },
+  { g: "qu", ph: ["K", "W"] },
+  { g: "kn", ph: ["N"], when: (w, i) => i === 0 },
+  { g: "wr", ph: ["R"], when: (w, i) => i === 0 },
+  { g: "gh", ph: [] },
+  { g: "oo", ph: ["UW"] },
+  { g: "ee", ph: ["IY"] },
+  { g: "ea", ph: ["IY"] },
+  { g: "ai", ph: ["EY"] },
+  { g: "ay", ph: ["EY"] },
+  { g: "ey", ph: ["EY"] },
+  { g: "ei", ph: ["EY"] },
+  { g: "oa", ph: ["OW"] },
+  { g: "oe", ph: ["OW"] },
+  { g: "ou", ph: ["AW"] },
+  { g: "ow", ph: ["OW"] },
+  { g: "oi", ph: ["OY"] },
+  { g: "oy", ph: ["OY"] },
+  { g: "au", ph: ["AO"] },
+  { g: "aw", ph: ["AO"] },
+  { g: "ew", ph: ["UW"] },
+  { g: "er", ph: ["ER"] },
+  { g: "ir", ph: ["ER"] },
+  { g: "ur", ph: ["ER"] },
+  { g: "ar", ph: ["AA", "R"] },
+  { g: "or", ph: ["AO", "R"] }
+];
+
+const SINGLE_LETTERS = {
+  a: ["AE"], b: ["B"], d: ["D"], e: ["EH"], f: ["F"], g: ["G"], h: ["HH"],
+  i: ["IH"], j: ["JH"], k: ["K"], l: ["L"], m: ["M"], n: ["N"], o: ["AA"],
+  p: ["P"], q: ["K"], r: ["R"], s: ["S"], t: ["T"], u: ["AH"], v: ["V"],
+  w: ["W"], x: ["K", "S"], z: ["Z"]
+};
+
+// Vowel followed by consonant + final "e" is long ("make", "time", "home")
+const LONG_VOWELS = { a: "EY", e: "IY", i: "AY", o: "OW", u: "UW" };
+
+function letterToSound(word) {
+  const w = word.toLowerCase().replace(/[^a-z]/g, "");
+  const phones = [];
+  let i = 0;
+
+  while (i < w.length) {
+    const rule = LETTER_RULES.find((r) => w.startsWith(r.g, i) && (!r.when || r.when(w, i)));
+    if (rule) {
+      phones.push(...rule.ph);
+      i += rule.g.length;
+      continue;
+    }
+
+    const ch = w[i];
+    const next = w[i + 1];
+
+    // Silent final e (but keep it in short words like "be", "he")
+    if (ch === "e" && i === w.length - 1 && w.length > 2) {
+      i++;
+      continue;
+    }
+
+    // Double consonants sound once
+    if (next === ch && !VOWELS.includes(ch)) {
+      i++;
+      continue;
+    }
+
+    if (LONG_VOWELS[ch] && i + 2 === w.length - 1 && w[w.length - 1] === "e" &&
+      !VOWELS.includes(w[i + 1])) {
+      phones.push(LONG_VOWELS[ch]);
+    } else if (ch === "c") {
+      phones.push(next && "eiy".includes(next) ? "S" : "K");
+    } else if (ch === "g") {
+      phones.push(next && "eiy".includes(next) && i > 0 ? "JH" : "G");
+    } else if (ch === "y") {
+      if (i === 0) phones.push("Y");
+      else phones.push(i === w.length - 1 && w.length > 2 ? "IY" : "AY");
+    } else if (ch === "s" && i > 0 && i === w.length - 1 && !"ptkf".includes(w[i - 1])) {
+      phones.push("Z"); // plural "dogs", "cars"
+    } else if (SINGLE_LETTERS[ch]) {
+      phones.push(...SINGLE_LETTERS[ch]);
+    }
+    i++;
+  }
+
+  return phones;
+}
+
+const DIGIT_WORDS = ["zero", "one", "two", "three", "four", "five", "six", "seven", "eight", "nine"];
+
+/**
+ * Phonemes for a single word, plus whether it came from the dictionary.
+ */
+export function wordToPhonemes(word) {
+  const w = String(word || "").toLowerCase().replace(/[^a-z0-9']/g, "");
+  if (!w) return { phonemes: [], source: "none" };
+
+  if (dictionary.has(w)) return { phonemes: dictionary.get(w), source: "dictionary" };
+
+  // Possessives / contractions not in the dictionary: "robot's" -> "robot" + S
+  const base = w.replace(/'s$/, "");
+  if (base !== w && dictionary.has(base)) {
+    return { phonemes: [...dictionary.get(base), "Z"], source: "dictionary" };
+  }
+
+  // Numbers are read digit by digit
+  if (/^\d+$/.test(w)) {
+    return {
+      phonemes: [...w].flatMap((d) => dictionary.get(DIGIT_WORDS[d]) || []),
+      source: "dictionary"
+    };
+  }
+
+  return { phonemes: letterToSound(w), source: "rules" };
+}
+
+// ---------------------------
+// Durations by phoneme class (seconds, before scaling)
+// ---------------------------
+const PHONEME_CLASSES = {
+  vowel: { phones: ["AA", "AE", "AH", "AO", "EH", "ER", "IH", "IY", "UH", "UW"], duration: 0.11 },
+  diphthong: { phones: ["AW", "AY", "EY", "OW", "OY"], duration: 0.15 },
+  stop: { phones: ["B", "D", "G", "K", "P", "T"], duration: 0.06 },
+  affricate: { phones: ["CH", "JH"], duration: 0.1 },
+  fricative: { phones: ["DH", "F", "HH", "S", "SH", "TH", "V", "Z", "ZH"], duration: 0.09 },
+  nasal: { phones: ["M", "N", "NG"], duration: 0.07 },
+  liquid: { phones: ["L", "R", "W", "Y"], duration: 0.07 }
+};
+
+const PHONEME_DURATION = {};
+for (const cls of Object.values(PHONEME_CLASSES)) {
+  for (const p of cls.phones) PHONEME_DURATION[p] = cls.duration;
+}
+
+// Pauses after punctuation and between words
+const PAUSES = { ",": 0.18, ";": 0.22, ":": 0.22, ".": 0.35, "!": 0.35, "?": 0.35 };
+const WORD_GAP = 0.03;
+
+export function phonemeDuration(phoneme) {
+  return PHONEME_DURATION[phoneme] || 0.08;
+}
+
+/**
+ * Tokenize text into words and punctuation pauses with their phonemes.
+ */
+export function textToPhonemes(text) {
+  const tokens = [];
+  const re = /([A-Za-z0-9']+)|([,;:.!?])/g;
+  let wordIndex = 0;
+  let m;
+
+  while ((m = re.exec(String(text || ""))) !== null) {
+    if (m[1]) {
+      const { phonemes, source } = wordToPhonemes(m[1]);
+      if (phonemes.length) tokens.push({ type: "word", word: m[1], wordIndex, phonemes, source });
+      wordIndex++;
+    } else {
+      tokens.push({ type: "pause", mark: m[2], duration: PAUSES[m[2]] });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Build a phoneme timeline for `text` spread over `duration` seconds.
+ * Returns [{ phoneme, start, end, confidence, word?, wordIndex? }] with "SIL" entries for pauses.
+ */
+export function textToPhonemeTimeline(text, duration) {
+  const tokens = textToPhonemes(text);
+  const raw = [];
+
+  for (const token of tokens) {
+    if (token.type === "pause") {
+      // Collapse repeated punctuation ("?!", "...") into the longest pause
+      const prev = raw[raw.length - 1];
+      if (prev && prev.phoneme === "SIL") prev.length = Math.max(prev.length, token.duration);
+      else if (raw.length) raw.push({ phoneme: "SIL", length: token.duration, confidence: 1.0 });
+      continue;
+    }
+
+    const prev = raw[raw.length - 1];
+    if (prev && prev.phoneme !== "SIL") {
+      raw.push({ phoneme: "SIL", length: WORD_GAP, confidence: 1.0 });
+    }
+    const confidence = token.source === "dictionary" ? 0.6 : 0.4;
+    for (const phoneme of token.phonemes) {
+      raw.push({ phoneme, length: phonemeDuration(phoneme), confidence, word: token.word, wordIndex: token.wordIndex });
+    }
+  }
+
+  // No trailing silence - the audio's own tail handles that
+  while (raw.length && raw[raw.length - 1].phoneme === "SIL") raw.pop();
+  if (raw.length === 0) return [];
+
+  const total = raw.reduce((sum, p) => sum + p.length, 0);
+  const scale = duration > 0 ? duration / total : 1;
+
+  const timeline = [];
+  let cursor = 0;
+  for (const p of raw) {
+    const end = cursor + p.length * scale;
+    timeline.push({
+      phoneme: p.phoneme,
+      start: Number(cursor.toFixed(3)),
+      end: Number(end.toFixed(3)),
+      confidence: p.confidence,
+      ...(p.word ? { word: p.word, wordIndex: p.wordIndex } : {})
+    });
+    cursor = end;
+  }
+  return timeline;
+}
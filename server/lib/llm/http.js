@@ -0,0 +1,42 @@
+/**
+ * Shared HTTP plumbing for the LLM adapters: timeouts, cancellation and
+ * line-by-line reading of streamed (SSE / NDJSON) responses.
+ */
+import fetch from "node-fetch";
+
+// `signal` (optional) cancels the request, including a body still being streamed
+export async function postJSON(url, body, { headers = {}, timeoutMs = 60000, signal } = {}) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body),
+      signal: signal ? AbortSignal.any([controller.signal, signal]) : controller.signal
+    });
+    if (!res.ok) {
+      throw new Error(`LLM HTTP error ${res.status}: ${await res.text()}`);
+    }
+    return { res, done: () => clearTimeout(timeout) };
+  } catch (err) {
+    clearTimeout(timeout);
+    throw err;
+  }
+}
+
+// Call onLine for every complete line of a streamed body.
+// A multi-byte character may be split across chunks, so decoding is streamed.
+export async function readLines(body, onLine) {
+  const decoder = new TextDecoder("utf-8");
+  let pending = "";
+  for await (const chunk of body) {
+    pending += decoder.decode(chunk, { stream: true });
+    const lines = pending.split("\n");
+    pending = lines.pop();
+    lines.forEach(onLine);
+  }
+  pending += decoder.decode();
+  if (pending) onLine(pending);
+}
@@ -0,0 +1,50 @@
+/**
+ * LLM provider registry.
+ *
+ * A provider exposes:
+ *   complete(messages, options)        -> full completion text
+ *   stream(messages, onToken, options) -> full completion text, calling onToken per delta
+ * where options may override { model, temperature, maxTokens } per request.
+ */
+import { createOllamaProvider } from "./ollama.js";
+import { createOpenAIProvider } from "./openai.js";
+import { createMockProvider } from "./mock.js";
+
+const PROVIDERS = {
+  ollama: createOllamaProvider,
+  openai: createOpenAIProvider,
+  mock: createMockProvider
+};
+
+export function llmProviderNames() {
+  return Object.keys(PROVIDERS);
+}
+
+/**
+ * Build every provider from `config` (shared model settings plus per-provider
+ * URLs) and return a lookup that falls back to the default provider.
+ */
+export function createLLMRegistry(config) {
+  const instances = {};
+
+  const get = (name) => {
+    name = name || config.provider;
+    if (!PROVIDERS[name]) {
+      throw new Error(`Unknown LLM provider "${name}" (expected one of: ${llmProviderNames().join(", ")})`);
+    }
+    if (!instances[name]) {
+      instances[name] = PROVIDERS[name]({
+        model: config.model,
+        temperature: config.temperature,
+        maxTokens: config.maxTokens,
+        timeoutMs: config.timeoutMs,
+        ...(config[name] || {})
+      });
+    }
+    return instances[name];
+  };
+
+  // Fail fast on a misconfigured default
+  get(config.provider);
+  return { get, defaultName: config.provider };
+}
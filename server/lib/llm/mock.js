@@ -0,0 +1,36 @@
+/**
+ * Deterministic local provider for tests and offline demos. It echoes the
+ * latest user message back in the reply/emotion JSON format.
+ */
+
+// The chat prompt wraps the user's text as "User: ...\nReturn: ..."
+function lastUserText(messages) {
+  const last = [...messages].reverse().find((m) => m.role === "user");
+  if (!last) return "";
+  return String(last.content)
+    .replace(/^User:\s*/, "")
+    .replace(/\nReturn:[\s\S]*$/, "")
+    .trim();
+}
+
+export function createMockProvider() {
+  const respond = (messages) =>
+    JSON.stringify({ emotion: "neutral", reply: `You said: ${lastUserText(messages)}` });
+
+  return {
+    name: "mock",
+
+    async complete(messages) {
+      return respond(messages);
+    },
+
+    async stream(messages, onToken) {
+      const text = respond(messages);
+      // Emit word-sized tokens so streaming code paths get exercised
+      for (const token of text.match(/\S+\s*/g) || []) {
+        onToken(token);
+      }
+      return text;
+    }
+  };
+}
@@ -0,0 +1,57 @@
+/**
+ * Adapter for Ollama's native /api/chat endpoint (NDJSON streaming).
+ */
+import { postJSON, readLines } from "./http.js";
+
+export function createOllamaProvider({ url, model, temperature, maxTokens, timeoutMs }) {
+  const buildBody = (messages, options, stream) => ({
+    model: options.model || model,
+    messages,
+    stream,
+    options: {
+      temperature: options.temperature ?? temperature,
+      num_predict: options.maxTokens ?? maxTokens
+    }
+  });
+
+  return {
+    name: "ollama",
+
+    async complete(messages, options = {}) {
+      const { res, done } = await postJSON(url, buildBody(messages, options, false), { timeoutMs, signal: options.signal });
+      try {
+        const j = await res.json();
+        return j.message?.content ?? JSON.stringify(j);
+      } finally {
+        done();
+      }
+    },
+
+    async stream(messages, onToken, options = {}) {
+      const { res, done } = await postJSON(url, buildBody(messages, options, true), { timeoutMs, signal: options.signal });
+      let text = "";
+
+      try {
+        await readLines(res.body, (line) => {
+          if (!line.trim()) return;
+
+          let j;
+          try {
+            j = JSON.parse(line);
+          } catch {
+            return;
+          }
+          if (j.error) throw new Error(`Ollama error: ${j.error}`);
+          const token = j.message?.content || "";
+          if (token) {
+            text += token;
+            onToken(token);
+          }
+        });
+      } finally {
+        done();
+      }
+      return text;
+    }
+  };
+}
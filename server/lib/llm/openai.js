@@ -0,0 +1,62 @@
+/**
+ * Adapter for any OpenAI-compatible /v1/chat/completions server
+ * (Ollama's compatibility endpoint, llama.cpp server, vLLM, LM Studio, OpenAI).
+ */
+import { postJSON, readLines } from "./http.js";
+
+export function createOpenAIProvider({ url, apiKey, model, temperature, maxTokens, timeoutMs }) {
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+  const buildBody = (messages, options, stream) => ({
+    model: options.model || model,
+    messages,
+    temperature: options.temperature ?? temperature,
+    max_tokens: options.maxTokens ?? maxTokens,
+    stream
+  });
+
+  return {
+    name: "openai",
+
+    async complete(messages, options = {}) {
+      const { res, done } = await postJSON(url, buildBody(messages, options, false), { headers, timeoutMs, signal: options.signal });
+      try {
+        const j = await res.json();
+        if (j.completion) return j.completion;
+        if (j.choices?.[0]?.message?.content) return j.choices[0].message.content;
+        return JSON.stringify(j);
+      } finally {
+        done();
+      }
+    },
+
+    async stream(messages, onToken, options = {}) {
+      const { res, done } = await postJSON(url, buildBody(messages, options, true), { headers, timeoutMs, signal: options.signal });
+      let text = "";
+
+      try {
+        await readLines(res.body, (line) => {
+          line = line.trim();
+          if (!line.startsWith("data:")) return;
+          line = line.slice(5).trim();
+          if (!line || line === "[DONE]") return;
+
+          let j;
+          try {
+            j = JSON.parse(line);
+          } catch {
+            return;
+          }
+          const token = j.choices?.[0]?.delta?.content || "";
+          if (token) {
+            text += token;
+            onToken(token);
+          }
+        });
+      } finally {
+        done();
+      }
+      return text;
+    }
+  };
+}
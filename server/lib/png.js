@@ -0,0 +1,23 @@
+/**
+ * Minimal PNG header reader - image size and colour type from the IHDR chunk,
+ * without decoding the pixels.
+ */
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Colour types 4 (grey + alpha) and 6 (RGBA) carry an alpha channel
+export function readPngInfo(buffer) {
+  if (!buffer || buffer.length < 33 || !buffer.subarray(0, 8).equals(SIGNATURE) ||
+    buffer.toString("ascii", 12, 16) !== "IHDR") {
+    throw new Error("not a PNG file");
+  }
+
+  const colorType = buffer.readUInt8(25);
+  return {
+    width: buffer.readUInt32BE(16),
+    height: buffer.readUInt32BE(20),
+    bitDepth: buffer.readUInt8(24),
+    colorType,
+    hasAlpha: colorType === 4 || colorType === 6
+  };
+}
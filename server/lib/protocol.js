@@ -0,0 +1,101 @@
+/**
+ * Versioned WebSocket chat protocol (see PROTOCOL.md).
+ *
+ * Clients connect to `/ws?v=1` on the HTTP server (or offer the
+ * `avatarchat.v1` subprotocol) and exchange JSON text messages with a `type`.
+ * This module checks the version and validates client messages; server.js
+ * acts on them.
+ */
+import { AUDIO_MODES } from "./clients.js";
+
+export const PROTOCOL_VERSION = 1;
+export const SUBPROTOCOL = `avatarchat.v${PROTOCOL_VERSION}`;
+export const MAX_MESSAGE_BYTES = 64 * 1024;
+export const MAX_TEXT_LENGTH = 4000;
+
+const ID_RE = /^[\w.:-]{1,128}$/;
+const LLM_FIELDS = ["provider", "model", "temperature", "maxTokens"];
+
+/**
+ * Version requested by a connection: the `v` query parameter, else an offered
+ * `avatarchat.vN` subprotocol, else the current version.
+ * Returns null when the client asks for a version this server does not speak.
+ */
+export function negotiateVersion(query, offeredProtocols = []) {
+  let version = PROTOCOL_VERSION;
+  if (query.has("v")) {
+    version = Number(query.get("v"));
+  } else {
+    const offered = [...offeredProtocols].map((p) => /^avatarchat\.v(\d+)$/.exec(p)).find(Boolean);
+    if (offered) version = Number(offered[1]);
+  }
+  return version === PROTOCOL_VERSION ? version : null;
+}
+
+export function errorMessage(code, error, extra = {}) {
+  return { type: "error", code, error, ...extra, timestamp: Date.now() };
+}
+
+/**
+ * Check the text of a chat message, for both `user_message` and POST /chat.
+ * Returns the problem as a message, or null when the text is usable.
+ */
+export function validateChatText(text) {
+  if (typeof text !== "string" || !text.trim()) return "text must be a non-empty string";
+  if (text.length > MAX_TEXT_LENGTH) return `text is longer than ${MAX_TEXT_LENGTH} characters`;
+  return null;
+}
+
+const optionalId = (value) => value === undefined || (typeof value === "string" && ID_RE.test(value));
+
+/**
+ * Parse and validate one client message.
+ * Returns { msg } or { error } where error is an `error` message to send back.
+ */
+export function parseClientMessage(data) {
+  let msg;
+  try {
+    msg = JSON.parse(data.toString());
+  } catch {
+    return { error: errorMessage("bad_json", "message is not valid JSON") };
+  }
+  if (!msg || typeof msg !== "object" || typeof msg.type !== "string") {
+    return { error: errorMessage("bad_message", "message needs a string type") };
+  }
+
+  const fail = (error) => ({ error: errorMessage("bad_message", error, { requestId: msg.requestId }) });
+
+  switch (msg.type) {
+    case "user_message": {
+      const textError = validateChatText(msg.text);
+      if (textError) return fail(textError);
+      if (!optionalId(msg.requestId)) return fail("requestId must be a short id string");
+      const llmOptions = {};
+      for (const key of LLM_FIELDS) {
+        if (msg[key] !== undefined) llmOptions[key] = msg[key];
+      }
+      return {
+        msg: {
+          type: "user_message",
+          text: msg.text.trim(),
+          requestId: msg.requestId,
+          stream: msg.stream !== false,
+          llmOptions
+        }
+      };
+    }
+    case "cancel":
+      if (typeof msg.requestId !== "string" || !msg.requestId) return fail("cancel needs a requestId");
+      return { msg: { type: "cancel", requestId: msg.requestId } };
+    case "ping":
+      return { msg: { type: "ping", id: msg.id, t: msg.t } };
+    case "register":
+      if (!optionalId(msg.sessionId) || (msg.room !== undefined && msg.room !== null && !optionalId(msg.room))) {
+        return fail("sessionId and room must be short id strings");
+      }
+      if (msg.audio !== undefined && !AUDIO_MODES.includes(msg.audio)) return fail(`audio must be one of: ${AUDIO_MODES.join(", ")}`);
+      return { msg: { type: "register", sessionId: msg.sessionId, room: msg.room, audio: msg.audio } };
+    default:
+      return { error: errorMessage("unknown_type", `unknown message type "${msg.type}"`) };
+  }
+}
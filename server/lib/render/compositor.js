@@ -0,0 +1,193 @@
+/**
+ * Pure-JS frame compositing for video export.
+ *
+ * Avatar images are decoded with pngjs, cropped to the region their layer
+ * shows and resampled to the output size once (like the client's texture
+ * atlas). Each frame then starts from the pre-drawn base face and blends the
+ * feature, viseme and blink crops on top.
+ *
+ * Decoding a pack takes a second or more, so the placed textures are cached
+ * per avatar and output size until one of their image files changes.
+ */
+import fs from "fs";
+import path from "path";
+import { PNG } from "pngjs";
+
+const FEATURES = ["brow", "eyes", "mouth"];
+const FULL = { x: 0, y: 0, w: 1, h: 1 };
+const TEXTURE_CACHE_SIZE = 8;
+
+// JSON.stringify([assetRoot, size, manifest]) -> { textures, files }, least recently used first
+const textureCache = new Map();
+
+function parseColor(hex) {
+  const m = /^#?([0-9a-f]{6})$/i.exec(String(hex || ""));
+  const n = m ? parseInt(m[1], 16) : 0x1f252f;
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+// Bilinear sample of an RGBA image at (x, y) in source pixels
+function sample(img, x, y, out) {
+  const x0 = Math.max(0, Math.min(img.width - 1, Math.floor(x)));
+  const y0 = Math.max(0, Math.min(img.height - 1, Math.floor(y)));
+  const x1 = Math.min(img.width - 1, x0 + 1);
+  const y1 = Math.min(img.height - 1, y0 + 1);
+  const fx = Math.min(Math.max(x - x0, 0), 1);
+  const fy = Math.min(Math.max(y - y0, 0), 1);
+  const d = img.data;
+  const a = (y0 * img.width + x0) * 4;
+  const b = (y0 * img.width + x1) * 4;
+  const c = (y1 * img.width + x0) * 4;
+  const e = (y1 * img.width + x1) * 4;
+  for (let k = 0; k < 4; k++) {
+    const top = d[a + k] + (d[b + k] - d[a + k]) * fx;
+    const bottom = d[c + k] + (d[e + k] - d[c + k]) * fx;
+    out[k] = top + (bottom - top) * fy;
+  }
+}
+
+// Crop `region` of a decoded PNG and scale it into its place on a size x size frame
+function cropToFrame(img, region, size) {
+  const x = Math.round(region.x * size);
+  const y = Math.round(region.y * size);
+  const w = Math.max(1, Math.round((region.x + region.w) * size) - x);
+  const h = Math.max(1, Math.round((region.y + region.h) * size) - y);
+  const data = new Uint8ClampedArray(w * h * 4);
+  const px = [0, 0, 0, 0];
+
+  for (let dy = 0; dy < h; dy++) {
+    const sy = ((y + dy + 0.5) / size) * img.height - 0.5;
+    for (let dx = 0; dx < w; dx++) {
+      const sx = ((x + dx + 0.5) / size) * img.width - 0.5;
+      sample(img, sx, sy, px);
+      const i = (dy * w + dx) * 4;
+      data[i] = px[0];
+      data[i + 1] = px[1];
+      data[i + 2] = px[2];
+      data[i + 3] = px[3];
+    }
+  }
+  return { x, y, w, h, data };
+}
+
+function mtimeOf(file) {
+  try {
+    return fs.statSync(file).mtimeMs;
+  } catch {
+    return null;
+  }
+}
+
+// `files` records every candidate looked at (path -> mtime, null when missing)
+function decodeFirst(assetRoot, paths, files) {
+  for (const p of [].concat(paths || [])) {
+    const file = path.resolve(assetRoot, p);
+    files.set(file, mtimeOf(file));
+    if (!fs.existsSync(file) || path.extname(file).toLowerCase() !== ".png") continue;
+    try {
+      return PNG.sync.read(fs.readFileSync(file));
+    } catch (err) {
+      console.warn(`Render: cannot decode ${p}:`, err.message);
+    }
+  }
+  return null;
+}
+
+/**
+ * Decode and place every texture of an avatar pack ({ manifest, assetRoot }
+ * from lib/avatars.js) for a size x size output. Keys follow the client's
+ * FaceRig: "base", "<feature>:<emotion>", "viseme:<id>", "blink:<feature>".
+ * The returned Map is shared between renders and must not be modified.
+ */
+export function loadAvatarTextures(avatar, size) {
+  const key = JSON.stringify([avatar.assetRoot, size, avatar.manifest]);
+  let entry = textureCache.get(key);
+  if (!entry || [...entry.files].some(([file, mtime]) => mtimeOf(file) !== mtime)) {
+    entry = placeTextures(avatar, size);
+  }
+
+  textureCache.delete(key);
+  textureCache.set(key, entry);
+  if (textureCache.size > TEXTURE_CACHE_SIZE) textureCache.delete(textureCache.keys().next().value);
+  return entry.textures;
+}
+
+function placeTextures(avatar, size) {
+  const { manifest, assetRoot } = avatar;
+  const regions = manifest.regions || {};
+  const textures = new Map();
+  const files = new Map();
+  const cache = new Map();
+
+  const add = (key, paths, region) => {
+    const cacheKey = JSON.stringify([].concat(paths || []));
+    if (!cache.has(cacheKey)) cache.set(cacheKey, decodeFirst(assetRoot, paths, files));
+    const img = cache.get(cacheKey);
+    if (img && region) textures.set(key, cropToFrame(img, region, size));
+  };
+
+  add("base", manifest.base, FULL);
+  const emotions = manifest.emotions || {};
+  const neutral = emotions.neutral || {};
+  for (const [emotion, features] of Object.entries(emotions)) {
+    for (const feature of FEATURES) {
+      // Missing features fall back to the neutral sprite, as in the client
+      const paths = [...[].concat((features || {})[feature] || []), ...[].concat(neutral[feature] || [])];
+      add(`${feature}:${emotion}`, paths, regions[feature]);
+    }
+  }
+  for (const [id, file] of Object.entries((manifest.visemes && manifest.visemes.images) || {})) {
+    add(`viseme:${id}`, file, regions.mouth);
+  }
+  for (const [feature, file] of Object.entries((manifest.blink && manifest.blink.frames) || {})) {
+    add(`blink:${feature}`, file, regions[feature]);
+  }
+
+  return { textures, files };
+}
+
+/**
+ * Returns composite(layers) -> RGBA Buffer of size x size for [{ key, opacity }]
+ * in back-to-front order. The base face is drawn once over the background.
+ */
+export function createCompositor(textures, size, { background = "#1f252f" } = {}) {
+  const [br, bg, bb] = parseColor(background);
+  const backdrop = Buffer.alloc(size * size * 4);
+  for (let i = 0; i < backdrop.length; i += 4) {
+    backdrop[i] = br;
+    backdrop[i + 1] = bg;
+    backdrop[i + 2] = bb;
+    backdrop[i + 3] = 255;
+  }
+
+  const blend = (frame, tex, opacity) => {
+    for (let row = 0; row < tex.h; row++) {
+      const y = tex.y + row;
+      if (y < 0 || y >= size) continue;
+      for (let col = 0; col < tex.w; col++) {
+        const x = tex.x + col;
+        if (x < 0 || x >= size) continue;
+        const s = (row * tex.w + col) * 4;
+        const a = (tex.data[s + 3] / 255) * opacity;
+        if (a <= 0) continue;
+        const d = (y * size + x) * 4;
+        frame[d] += (tex.data[s] - frame[d]) * a;
+        frame[d + 1] += (tex.data[s + 1] - frame[d + 1]) * a;
+        frame[d + 2] += (tex.data[s + 2] - frame[d + 2]) * a;
+      }
+    }
+  };
+
+  const base = textures.get("base");
+  if (base) blend(backdrop, base, 1);
+
+  return (layers) => {
+    const frame = Buffer.from(backdrop);
+    for (const layer of layers) {
+      if (layer.key === "base" || layer.opacity <= 0.001) continue;
+      const tex = textures.get(layer.key);
+      if (tex) blend(frame, tex, Math.min(layer.opacity, 1));
+    }
+    return frame;
+  };
+}
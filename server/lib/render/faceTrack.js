@@ -0,0 +1,210 @@
+/**
+ * Replays a reply's viseme and emotion timeline the way the browser client
+ * does (client/src/app.js + FaceRig.js), so an exported video shows the same
+ * mouth shapes, cross-fades and expression changes as live playback.
+ *
+ * The numbers below mirror the client's constants; keep them in sync.
+ */
+
+const VISEME_TRANSITION_MS = 80;   // app.js VISEME_TRANSITION_MS
+const VISEME_PRELOAD_MS = 50;      // app.js VISEME_PRELOAD_MS
+const MIN_VISEME_CONFIDENCE = 0.2; // FaceRig.minVisemeConfidence
+const EMOTION_TRANSITION_MS = 250; // FaceRig.emotionTransitionMs
+const BLINK_MS = { close: 50, hold: 25, open: 50 };
+const BLINK_EVERY_MS = 3200;       // fixed cadence instead of the client's random one
+
+const FEATURES = ["brow", "eyes", "mouth"];
+
+const clamp01 = (v, fallback) => (typeof v === "number" && Number.isFinite(v) ? Math.min(Math.max(v, 0), 1) : fallback);
+const ease = (t) => t * t * (3 - 2 * t);
+
+function fader() {
+  return { name: null, from: 0, to: 0, opacity: 0, start: 0, duration: 0 };
+}
+
+function fade(layer, target, durationMs, now) {
+  layer.from = layer.opacity;
+  layer.to = target;
+  layer.start = now;
+  layer.duration = Math.max(durationMs, 0);
+}
+
+function advance(layer, now) {
+  const t = layer.duration > 0 ? Math.min((now - layer.start) / layer.duration, 1) : 1;
+  layer.opacity = layer.from + (layer.to - layer.from) * ease(t);
+}
+
+// FaceRig's state machine with an explicit clock (milliseconds)
+class FaceState {
+  constructor({ rest = "rest", blink = BLINK_MS } = {}) {
+    this.rest = rest;
+    this.blink = blink;
+    this.mouth = [fader(), fader()];
+    this.activeMouth = 0;
+    this.currentViseme = null;
+    this.emotion = { primary: fader(), secondary: fader() };
+  }
+
+  setEmotion(affect, now) {
+    const primary = affect.emotion && affect.emotion !== "neutral" ? affect.emotion : null;
+    const secondary = affect.secondary && affect.secondary !== "neutral" && affect.secondary !== primary
+      ? affect.secondary : null;
+    this.blendSlot("primary", primary, primary ? clamp01(affect.intensity, 1) : 0, now);
+    this.blendSlot("secondary", secondary, secondary ? clamp01(affect.secondaryIntensity, 0.5) : 0, now);
+  }
+
+  blendSlot(slot, emotion, weight, now) {
+    const blend = this.emotion[slot];
+    if (emotion && emotion !== blend.name) {
+      blend.name = emotion;
+      blend.opacity = 0;
+    }
+    fade(blend, emotion ? weight : 0, EMOTION_TRANSITION_MS, now);
+  }
+
+  // app.js applyViseme + FaceRig.showViseme
+  applyViseme(entry, now) {
+    if (!entry || entry.viseme === this.rest) {
+      this.hideVisemes(VISEME_TRANSITION_MS, now);
+      return;
+    }
+    const entryMs = (entry.end - entry.start) * 1000;
+    const transitionMs = Math.min(VISEME_TRANSITION_MS, entryMs * 0.5);
+    const confidence = typeof entry.confidence === "number" ? entry.confidence : 1;
+    if (confidence < MIN_VISEME_CONFIDENCE && this.currentViseme) return;
+
+    const target = 0.4 + 0.6 * clamp01(confidence, 1);
+    const active = this.mouth[this.activeMouth];
+    if (this.currentViseme === entry.viseme) {
+      fade(active, target, transitionMs, now);
+      return;
+    }
+
+    this.currentViseme = entry.viseme;
+    const incoming = this.mouth[1 - this.activeMouth];
+    this.activeMouth = 1 - this.activeMouth;
+    incoming.name = entry.viseme;
+    fade(incoming, target, transitionMs, now);
+    fade(active, 0, transitionMs, now);
+  }
+
+  hideVisemes(transitionMs, now) {
+    this.currentViseme = null;
+    this.mouth.forEach((layer) => fade(layer, 0, transitionMs, now));
+  }
+
+  // The client blinks while speaking too; layers() keeps the mouth frame under visemes hidden
+  blinkAmount(now) {
+    const { close, hold, open } = this.blink;
+    const t = now % BLINK_EVERY_MS - (BLINK_EVERY_MS - close - hold - open);
+    if (t < 0) return 0;
+    if (t < close) return t / close;
+    if (t < close + hold) return 1;
+    return Math.max(0, 1 - (t - close - hold) / open);
+  }
+
+  // FaceRig.buildLayers: back-to-front [{ key, opacity }]
+  layers(now, hasTexture) {
+    this.mouth.forEach((l) => advance(l, now));
+    Object.values(this.emotion).forEach((l) => advance(l, now));
+
+    const out = [{ key: "base", opacity: 1 }];
+    const { primary, secondary } = this.emotion;
+    const shapes = this.mouth
+      .filter((l) => l.name && hasTexture(`viseme:${l.name}`))
+      .map((l) => ({ key: `viseme:${l.name}`, opacity: l.opacity }));
+    const coverage = Math.min(1, shapes.reduce((sum, l) => sum + l.opacity, 0));
+
+    for (const feature of FEATURES) {
+      const visible = feature === "mouth" ? 1 - coverage : 1;
+      out.push({ key: `${feature}:neutral`, opacity: visible });
+      if (primary.name) out.push({ key: `${feature}:${primary.name}`, opacity: primary.opacity * visible });
+      if (secondary.name) out.push({ key: `${feature}:${secondary.name}`, opacity: secondary.opacity * visible });
+    }
+    out.push(...shapes);
+
+    const blink = this.blinkAmount(now);
+    out.push({ key: "blink:brow", opacity: blink });
+    out.push({ key: "blink:eyes", opacity: blink });
+    out.push({ key: "blink:mouth", opacity: blink * (1 - coverage) });
+    return out;
+  }
+}
+
+// Entry at `time`, looking ahead like app.js visemeAt
+function visemeAt(timeline, time) {
+  const lookup = time + VISEME_PRELOAD_MS / 1000;
+  return timeline.find((e) => lookup >= e.start && lookup < e.end) || null;
+}
+
+/**
+ * Build a frame-by-frame layer source for a sequence of spoken segments
+ * ({ duration, visemes, emotionCues, emotion, intensity, ... }), played back to back.
+ * Returns { duration, layersAt(time) }; layersAt must be called with increasing times.
+ */
+export function createFaceTrack(segments, { rest = "rest", blink, hasTexture = () => true } = {}) {
+  const timing = { ...BLINK_MS };
+  for (const phase of Object.keys(timing)) {
+    if (blink && typeof blink[phase] === "number") timing[phase] = blink[phase];
+  }
+  const state = new FaceState({ rest, blink: timing });
+  let offset = 0;
+  const spans = segments.map((seg) => {
+    const span = {
+      start: offset,
+      end: offset + seg.duration,
+      seg,
+      timeline: [...(seg.visemes || [])].sort((a, b) => a.start - b.start),
+      cues: [...(seg.emotionCues || [])].sort((a, b) => a.time - b.time)
+    };
+    offset += seg.duration;
+    return span;
+  });
+
+  let spanIndex = -1;
+  let nextCue = 0;
+  let lastEntry = null;
+
+  return {
+    duration: offset,
+
+    layersAt(time) {
+      const now = time * 1000;
+
+      // Each segment starts in its own emotion, as the client does for each clip
+      while (spanIndex + 1 < spans.length && time >= spans[spanIndex + 1].start) {
+        // Cues at the very end of a segment still apply
+        const done = spans[spanIndex];
+        while (done && nextCue < done.cues.length) state.setEmotion(done.cues[nextCue++], now);
+        spanIndex++;
+        nextCue = 0;
+        lastEntry = null;
+        if (spans[spanIndex].seg.emotion) state.setEmotion(spans[spanIndex].seg, now);
+      }
+
+      const span = spans[spanIndex];
+      let speaking = false;
+      if (span) {
+        const local = time - span.start;
+        speaking = local < span.seg.duration;
+
+        while (nextCue < span.cues.length && span.cues[nextCue].time <= local) {
+          state.setEmotion(span.cues[nextCue++], now);
+        }
+
+        let entry = visemeAt(span.timeline, local);
+        if (!entry && speaking) {
+          // Before an upcoming viseme: rest. Past all visemes: keep the last one
+          const upcoming = span.timeline.some((v) => v.start > local);
+          entry = upcoming ? null : span.timeline[span.timeline.length - 1] || null;
+        }
+        if (entry !== lastEntry) {
+          state.applyViseme(entry, now);
+          lastEntry = entry;
+        }
+      }
+
+      return state.layers(now, hasTexture);
+    }
+  };
+}
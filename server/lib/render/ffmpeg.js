@@ -0,0 +1,84 @@
+/**
+ * Encode raw RGBA frames plus a WAV file into MP4 or WebM with a local ffmpeg.
+ */
+import { spawn } from "child_process";
+
+export const FORMATS = {
+  mp4: {
+    contentType: "video/mp4",
+    args: ["-c:v", "libx264", "-preset", "veryfast", "-pix_fmt", "yuv420p",
+      "-c:a", "aac", "-b:a", "128k", "-movflags", "+faststart"]
+  },
+  webm: {
+    contentType: "video/webm",
+    args: ["-c:v", "libvpx-vp9", "-deadline", "realtime", "-cpu-used", "8", "-pix_fmt", "yuv420p",
+      "-c:a", "libopus", "-b:a", "96k"]
+  }
+};
+
+/**
+ * Pipe `frameCount` frames from `nextFrame(i)` (RGBA Buffer, size x size) into
+ * ffmpeg and mux them with `wavPath` into `outPath`. Aborting `signal` kills
+ * ffmpeg and rejects.
+ */
+export function encodeVideo({ ffmpegPath = "ffmpeg", size, fps, frameCount, nextFrame, wavPath, outPath, format = "mp4", timeoutMs = 120000, signal }) {
+  const preset = FORMATS[format];
+  if (!preset) return Promise.reject(new Error(`unknown video format "${format}"`));
+  if (signal && signal.aborted) return Promise.reject(signal.reason);
+
+  const args = [
+    "-hide_banner", "-loglevel", "error", "-y",
+    "-f", "rawvideo", "-pix_fmt", "rgba", "-s", `${size}x${size}`, "-r", String(fps), "-i", "pipe:0",
+    "-i", wavPath,
+    ...preset.args,
+    "-shortest", outPath
+  ];
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(ffmpegPath, args, { stdio: ["pipe", "ignore", "pipe"] });
+    let stderr = "";
+    let failed = false;
+    const timer = setTimeout(() => child.kill("SIGKILL"), timeoutMs);
+
+    const fail = (err) => {
+      if (failed) return;
+      failed = true;
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener("abort", onAbort);
+      reject(err);
+    };
+    const onAbort = () => {
+      child.kill("SIGKILL");
+      fail(signal.reason);
+    };
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+
+    child.stderr.on("data", (d) => { stderr += d; });
+    child.on("error", (err) => {
+      fail(err.code === "ENOENT" ? new Error(`ffmpeg not found (${ffmpegPath}); set FFMPEG_PATH`) : err);
+    });
+    child.on("close", (code, killSignal) => {
+      if (failed) return;
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener("abort", onAbort);
+      if (code === 0) return resolve();
+      fail(new Error(`ffmpeg ${killSignal ? `killed (${killSignal})` : `exited with ${code}`}: ${stderr.trim().slice(-500)}`));
+    });
+    // ffmpeg closing its input early (e.g. on a bad argument) is reported by "close"
+    child.stdin.on("error", () => {});
+
+    // Write frames one by one, waiting for ffmpeg to drain its input
+    let i = 0;
+    const writeFrames = () => {
+      while (i < frameCount && !failed) {
+        const ok = child.stdin.write(nextFrame(i++));
+        if (!ok) {
+          child.stdin.once("drain", writeFrames);
+          return;
+        }
+      }
+      child.stdin.end();
+    };
+    child.once("spawn", writeFrames);
+  });
+}
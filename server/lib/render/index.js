@@ -0,0 +1,66 @@
+/**
+ * Video export of a stored reply: replays its viseme/emotion timeline on the
+ * avatar's layers frame by frame and muxes the frames with the reply audio.
+ */
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { concatWavs, parseWav, silentWav } from "../wav.js";
+import { createFaceTrack } from "./faceTrack.js";
+import { loadAvatarTextures, createCompositor } from "./compositor.js";
+import { encodeVideo, FORMATS } from "./ffmpeg.js";
+
+export { FORMATS };
+
+const DEFAULT_AUDIO = { audioFormat: 1, channels: 1, sampleRate: 22050, bitsPerSample: 16 };
+const TAIL_SECONDS = 0.3; // let the mouth settle after the last word
+
+/**
+ * reply: { id, segments: [{ wav, duration, visemes, emotionCues, emotion, ... }] }
+ * avatar: { manifest, assetRoot } from lib/avatars.js
+ * Resolves to { video: Buffer, contentType, duration, frames }; aborting
+ * `signal` stops the encoder and rejects.
+ */
+export async function renderReplyVideo(reply, { avatar, size = 512, fps = 25, format = "mp4", ffmpegPath, timeoutMs, signal } = {}) {
+  const withAudio = reply.segments.filter((s) => s.wav);
+  const audioFormat = withAudio.length ? parseWav(withAudio[0].wav) : DEFAULT_AUDIO;
+
+  // Segments without audio (TTS failure) are held silent for their duration
+  const segments = reply.segments.map((s) => {
+    const wav = s.wav || silentWav(audioFormat, s.duration || 0);
+    return { ...s, wav, duration: parseWav(wav).duration };
+  });
+  segments.push({ wav: silentWav(audioFormat, TAIL_SECONDS), duration: TAIL_SECONDS, visemes: [] });
+
+  if (signal && signal.aborted) throw signal.reason;
+  const textures = loadAvatarTextures(avatar, size);
+  const manifest = avatar.manifest;
+  const blink = manifest.blink || {};
+  const track = createFaceTrack(segments, {
+    rest: (manifest.visemes && manifest.visemes.rest) || "rest",
+    blink: { close: blink.closeMs, hold: blink.holdMs, open: blink.openMs },
+    hasTexture: (key) => textures.has(key)
+  });
+  const composite = createCompositor(textures, size);
+  const frameCount = Math.max(1, Math.ceil(track.duration * fps));
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "render_"));
+  const wavPath = path.join(dir, "audio.wav");
+  const outPath = path.join(dir, `video.${format}`);
+
+  try {
+    fs.writeFileSync(wavPath, concatWavs(segments.map((s) => s.wav)));
+    await encodeVideo({
+      ffmpegPath, size, fps, format, timeoutMs, wavPath, outPath, frameCount, signal,
+      nextFrame: (i) => composite(track.layersAt(i / fps))
+    });
+    return {
+      video: fs.readFileSync(outPath),
+      contentType: FORMATS[format].contentType,
+      duration: track.duration,
+      frames: frameCount
+    };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
@@ -0,0 +1,77 @@
+/**
+ * Recent replies kept by id so they can be fetched again later (e.g. exported
+ * as a video) without re-running the model or TTS.
+ *
+ * A reply is stored as its spoken segments - one for a plain /chat answer,
+ * one per sentence for a streamed one - each with the WAV and the exact
+ * viseme/emotion timeline that was sent to the client.
+ *
+ * Each session keeps at most `maxPerSession` replies, so one busy session
+ * cannot push everyone else's replies out; `maxReplies` bounds the whole store.
+ * Every reply gets a random `key` that has to be presented to fetch it by URL,
+ * since reply ids may be chosen by the client.
+ */
+import crypto from "crypto";
+
+const DEFAULT_OPTIONS = {
+  maxReplies: 50,
+  maxPerSession: 10,
+  ttlMs: 30 * 60 * 1000
+};
+
+export class ReplyStore {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.replies = new Map();
+  }
+
+  // Start (or reset) a reply: { sessionId, emotion, intensity, secondary, secondaryIntensity }
+  create(id, meta = {}) {
+    const reply = { id, ...meta, key: crypto.randomBytes(12).toString("base64url"), text: "", segments: [], createdAt: Date.now() };
+    this.replies.delete(id);
+    this.replies.set(id, reply);
+    this.evict(reply.sessionId);
+    return reply;
+  }
+
+  // segment: { seq, text, wav, duration, visemes, emotionCues, emotion, intensity, secondary, secondaryIntensity }
+  addSegment(id, segment) {
+    const reply = this.replies.get(id);
+    if (!reply) return null;
+    reply.segments.push(segment);
+    reply.text = reply.segments.map((s) => s.text).join(" ");
+    return reply;
+  }
+
+  // Segment by its chunk seq (a plain reply is seq 0)
+  segment(id, seq) {
+    const reply = this.get(id);
+    return (reply && reply.segments.find((s) => s.seq === seq)) || null;
+  }
+
+  get(id) {
+    const reply = this.replies.get(id);
+    if (!reply) return null;
+    if (Date.now() - reply.createdAt > this.options.ttlMs) {
+      this.replies.delete(id);
+      return null;
+    }
+    return reply;
+  }
+
+  // Oldest replies go first once the session or the store is full (Map keeps insertion order)
+  evict(sessionId) {
+    if (sessionId) {
+      const own = [...this.replies.values()].filter((r) => r.sessionId === sessionId);
+      for (const reply of own.slice(0, Math.max(own.length - this.options.maxPerSession, 0))) {
+        this.replies.delete(reply.id);
+      }
+    }
+
+    const now = Date.now();
+    for (const [id, reply] of this.replies) {
+      if (this.replies.size <= this.options.maxReplies && now - reply.createdAt <= this.options.ttlMs) break;
+      this.replies.delete(id);
+    }
+  }
+}
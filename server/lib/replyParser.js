@@ -0,0 +1,180 @@
+/**
+ * Schema validation for the model's { reply, emotion } JSON answer.
+ *
+ * Besides the primary emotion the answer may carry an `intensity` (0-1) and a
+ * `secondary` emotion with its own `secondaryIntensity`, so the avatar can
+ * show "slightly happy" or "sad but surprised".
+ *
+ * Models often wrap the object in prose or code fences, or pick an emotion
+ * outside the allowed set. `parseReply` finds the first JSON object in the
+ * output and validates it; `fallbackReply` salvages something speakable when
+ * every attempt failed, so raw JSON is never read aloud.
+ */
+import { createReplyExtractor } from "./streaming.js";
+
+export const EMOTIONS = ["neutral", "happy", "sad", "angry", "surprised"];
+
+// Find the first balanced {...} block, ignoring braces inside strings
+export function extractFirstJSONObject(text) {
+  const source = String(text || "");
+  let start = source.indexOf("{");
+
+  while (start !== -1) {
+    let depth = 0;
+    let inString = false;
+
+    for (let i = start; i < source.length; i++) {
+      const ch = source[i];
+      if (inString) {
+        if (ch === "\\") i++;
+        else if (ch === "\"") inString = false;
+        continue;
+      }
+      if (ch === "\"") inString = true;
+      else if (ch === "{") depth++;
+      else if (ch === "}" && --depth === 0) {
+        const candidate = source.slice(start, i + 1);
+        try {
+          JSON.parse(candidate);
+          return candidate;
+        } catch {
+          break; // balanced but not JSON - try the next opening brace
+        }
+      }
+    }
+
+    start = source.indexOf("{", start + 1);
+  }
+
+  return null;
+}
+
+// Returns a list of schema violations (empty when valid)
+export function validateReply(obj) {
+  const errors = [];
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) {
+    return ["answer must be a JSON object"];
+  }
+  if (typeof obj.reply !== "string" || !obj.reply.trim()) {
+    errors.push("\"reply\" must be a non-empty string");
+  }
+  const emotion = typeof obj.emotion === "string" ? obj.emotion.trim().toLowerCase() : null;
+  if (!EMOTIONS.includes(emotion)) {
+    errors.push(`"emotion" must be one of: ${EMOTIONS.join(", ")}`);
+  }
+  for (const key of ["intensity", "secondaryIntensity"]) {
+    if (obj[key] !== undefined && obj[key] !== null && toIntensity(obj[key]) === null) {
+      errors.push(`"${key}" must be a number between 0 and 1`);
+    }
+  }
+  if (obj.secondary !== undefined && obj.secondary !== null && obj.secondary !== "") {
+    const secondary = typeof obj.secondary === "string" ? obj.secondary.trim().toLowerCase() : null;
+    if (!EMOTIONS.includes(secondary)) {
+      errors.push(`"secondary" must be one of: ${EMOTIONS.join(", ")}`);
+    }
+  }
+  return errors;
+}
+
+// Number in [0, 1] (numeric strings accepted), or null
+function toIntensity(value) {
+  const n = typeof value === "string" && value.trim() ? Number(value) : value;
+  return typeof n === "number" && Number.isFinite(n) && n >= 0 && n <= 1 ? n : null;
+}
+
+/**
+ * Emotion fields of an answer with defaults filled in:
+ * { emotion, intensity, secondary, secondaryIntensity }.
+ * A missing intensity means full strength; a secondary emotion equal to the
+ * primary one (or "neutral") is dropped.
+ */
+export function normalizeAffect(obj = {}) {
+  const emotion = normalizeEmotion(obj.emotion);
+  const intensity = toIntensity(obj.intensity) ?? 1;
+  let secondary = typeof obj.secondary === "string" ? obj.secondary.trim().toLowerCase() : null;
+  if (!EMOTIONS.includes(secondary) || secondary === emotion || secondary === "neutral") secondary = null;
+
+  return {
+    emotion,
+    intensity: Number(intensity.toFixed(2)),
+    secondary,
+    secondaryIntensity: secondary ? Number((toIntensity(obj.secondaryIntensity) ?? 0.5).toFixed(2)) : 0
+  };
+}
+
+/**
+ * Parse raw model output.
+ * Returns { ok, value, errors, path } where path is "direct" when the whole
+ * output was valid JSON and "extracted" when the object had to be dug out.
+ */
+export function parseReply(text) {
+  const cleaned = String(text || "").replace(/```json/g, "").replace(/```/g, "").trim();
+
+  let obj = null;
+  let path = "direct";
+  try {
+    obj = JSON.parse(cleaned);
+  } catch {
+    const candidate = extractFirstJSONObject(cleaned);
+    if (candidate) {
+      obj = JSON.parse(candidate);
+      path = "extracted";
+    }
+  }
+
+  if (obj === null) {
+    return { ok: false, value: null, errors: ["no JSON object found"], path: null };
+  }
+
+  const errors = validateReply(obj);
+  if (errors.length) return { ok: false, value: null, errors, path: null };
+
+  return {
+    ok: true,
+    value: { reply: obj.reply.trim(), ...normalizeAffect(obj) },
+    errors: [],
+    path
+  };
+}
+
+// Message asking the model to fix its previous answer
+export function correctivePrompt(errors) {
+  return `Your previous answer was invalid: ${errors.join("; ")}. ` +
+    `Answer again with ONLY a JSON object like {"emotion":"neutral","intensity":0.5,"reply":"..."} ` +
+    `where emotion is one of: ${EMOTIONS.join(", ")} and intensity is between 0 and 1. No other text.`;
+}
+
+function normalizeEmotion(emotion) {
+  const value = typeof emotion === "string" ? emotion.trim().toLowerCase() : "";
+  return EMOTIONS.includes(value) ? value : "neutral";
+}
+
+// Best-effort reply when validation keeps failing: use the "reply" of a JSON
+// object or a partial "reply" string out of broken JSON, otherwise speak the
+// text minus any JSON-looking parts.
+export function fallbackReply(text) {
+  const cleaned = String(text || "").replace(/```json/g, "").replace(/```/g, "").trim();
+
+  const candidate = extractFirstJSONObject(cleaned);
+  if (candidate) {
+    const obj = JSON.parse(candidate);
+    if (obj && typeof obj.reply === "string" && obj.reply.trim()) {
+      return { reply: obj.reply.trim(), ...normalizeAffect(obj) };
+    }
+  }
+
+  const brace = cleaned.indexOf("{");
+  const partial = brace >= 0
+    ? createReplyExtractor().push(cleaned.slice(brace))
+    : { reply: "", emotion: null, intensity: null, secondary: null, secondaryIntensity: null };
+  let reply = partial.reply.trim();
+
+  if (!reply) {
+    reply = cleaned.replace(/\{[\s\S]*\}?/g, " ").replace(/\s+/g, " ").trim();
+  }
+  if (!reply) {
+    reply = "Sorry, I couldn't generate a response.";
+  }
+
+  return { reply, ...normalizeAffect(partial) };
+}
@@ -0,0 +1,154 @@
+/**
+ * Per-session conversation memory for the /chat pipeline.
+ *
+ * Each session keeps a bounded message history. When the history grows past
+ * the turn or token budget, the oldest messages are folded into a running
+ * summary (via the supplied summarizer) so the model keeps long-term context
+ * without the prompt growing without bound.
+ */
+import crypto from "crypto";
+
+const DEFAULT_OPTIONS = {
+  maxTurns: 12,          // user+assistant pairs kept verbatim
+  maxTokens: 1500,       // rough token budget for verbatim history
+  keepTurns: 4,          // pairs kept verbatim after a compaction
+  ttlMs: 30 * 60 * 1000  // idle sessions are dropped after this long
+};
+
+// Cheap token estimate (~4 chars per token) - good enough for budgeting
+export function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+export function newSessionId() {
+  return crypto.randomUUID();
+}
+
+// Client-supplied session ids: 1-128 letters, digits, "_", ".", ":" or "-"
+export function isValidSessionId(id) {
+  return typeof id === "string" && /^[\w.:-]{1,128}$/.test(id);
+}
+
+export class SessionStore {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.sessions = new Map();
+  }
+
+  get(id) {
+    const session = this.sessions.get(id);
+    if (!session) return null;
+    if (Date.now() - session.updatedAt > this.options.ttlMs) {
+      this.sessions.delete(id);
+      return null;
+    }
+    return session;
+  }
+
+  getOrCreate(id) {
+    const existing = id ? this.get(id) : null;
+    if (existing) return existing;
+
+    const session = {
+      id: id || newSessionId(),
+      summary: "",
+      messages: [],
+      turns: 0,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  delete(id) {
+    return this.sessions.delete(id);
+  }
+
+  // A reply cut short (cancelled or superseded) is stored with truncated: true
+  append(session, role, content, { truncated = false } = {}) {
+    const message = { role, content: String(content || "") };
+    if (truncated) message.truncated = true;
+    session.messages.push(message);
+    if (role === "user") session.turns++;
+    session.updatedAt = Date.now();
+  }
+
+  tokensOf(messages) {
+    return messages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+  }
+
+  historyTokens(session) {
+    return this.tokensOf(session.messages);
+  }
+
+  needsCompaction(session) {
+    const pairs = Math.ceil(session.messages.length / 2);
+    return pairs > this.options.maxTurns || this.historyTokens(session) > this.options.maxTokens;
+  }
+
+  /**
+   * Fold the oldest messages into the session summary.
+   * `summarize(previousSummary, messages)` should resolve to the new summary
+   * text; if it fails the overflow is simply dropped. The overflow stays in
+   * the history until then, so a turn that arrives meanwhile still sees it.
+   * Only one compaction of a session runs at a time; the next turn retries.
+   */
+  async compact(session, summarize) {
+    if (session.compacting || !this.needsCompaction(session)) return false;
+
+    let keep = this.options.keepTurns * 2;
+    // Respect the token budget even for the messages we keep
+    while (keep > 2 && this.tokensOf(session.messages.slice(-keep)) > this.options.maxTokens) {
+      keep -= 2;
+    }
+
+    const overflow = session.messages.slice(0, Math.max(session.messages.length - keep, 0));
+    if (overflow.length === 0) return false;
+
+    if (typeof summarize === "function") {
+      session.compacting = true;
+      try {
+        const summary = await summarize(session.summary, overflow);
+        if (summary) session.summary = String(summary).trim();
+      } catch (err) {
+        console.warn("Session summarization failed, dropping overflow:", err.message || err);
+      } finally {
+        session.compacting = false;
+      }
+    }
+
+    // Turns appended during summarization come after the overflow
+    session.messages.splice(0, overflow.length);
+    return true;
+  }
+
+  // Build the prompt: system prompt, summary of older turns, then recent history
+  buildMessages(session, systemPrompt) {
+    const messages = [{ role: "system", content: systemPrompt }];
+    if (session.summary) {
+      messages.push({ role: "system", content: `Summary of the earlier conversation: ${session.summary}` });
+    }
+    return messages.concat(session.messages.map((m) => ({ role: m.role, content: m.content })));
+  }
+
+  // Drop idle sessions
+  prune() {
+    const now = Date.now();
+    for (const [id, session] of this.sessions) {
+      if (now - session.updatedAt > this.options.ttlMs) this.sessions.delete(id);
+    }
+  }
+
+  toJSON(session) {
+    return {
+      id: session.id,
+      summary: session.summary,
+      messages: session.messages,
+      turns: session.turns,
+      tokens: this.historyTokens(session),
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt
+    };
+  }
+}
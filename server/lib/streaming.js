@@ -0,0 +1,125 @@
+/**
+ * Helpers for turning a token stream into speakable sentences.
+ *
+ * The model is asked for a JSON object, so while tokens are still arriving we
+ * pull the (partial) "reply" string value out of the buffer and cut it into
+ * sentences that can go through TTS one at a time.
+ */
+
+// Read a JSON string literal starting at `start` (just after the opening quote).
+// Returns the decoded text so far and whether the closing quote was reached.
+function readPartialString(buffer, start) {
+  let out = "";
+  for (let i = start; i < buffer.length; i++) {
+    const ch = buffer[i];
+    if (ch === "\"") return { text: out, complete: true };
+    if (ch !== "\\") {
+      out += ch;
+      continue;
+    }
+
+    // Escape sequence - wait for more input if it is cut off
+    const next = buffer[i + 1];
+    if (next === undefined) break;
+    if (next === "u") {
+      const hex = buffer.slice(i + 2, i + 6);
+      if (hex.length < 4) break;
+      out += String.fromCharCode(parseInt(hex, 16));
+      i += 5;
+      continue;
+    }
+    out += { n: "\n", t: "\t", r: "", b: "", f: "" }[next] ?? next;
+    i++;
+  }
+  return { text: out, complete: false };
+}
+
+function readField(buffer, key) {
+  const match = new RegExp(`"${key}"\\s*:\\s*"`).exec(buffer);
+  if (!match) return null;
+  return readPartialString(buffer, match.index + match[0].length);
+}
+
+// A numeric field counts once it is followed by a delimiter ("0.7," not "0.")
+function readNumberField(buffer, key) {
+  const match = new RegExp(`"${key}"\\s*:\\s*"?(-?\\d+(?:\\.\\d+)?)"?\\s*[,}]`).exec(buffer);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Incrementally extracts `reply` and the emotion fields (`emotion`,
+ * `intensity`, `secondary`, `secondaryIntensity`) from a streamed JSON answer.
+ * Anything before the first `{` (a model that explains itself before the JSON)
+ * is skipped, and only the "reply" string value is ever returned - text outside
+ * the object is never spoken. An answer without any JSON is left to the final
+ * parse once the stream has ended.
+ */
+export function createReplyExtractor() {
+  let buffer = "";
+
+  return {
+    push(token) {
+      buffer += token;
+      return this.current();
+    },
+
+    current() {
+      const cleaned = buffer.replace(/```json/g, "").replace(/```/g, "");
+      const brace = cleaned.indexOf("{");
+      const object = brace >= 0 ? cleaned.slice(brace) : "";
+
+      const reply = object ? readField(object, "reply") : null;
+      const emotion = object ? readField(object, "emotion") : null;
+      const secondary = object ? readField(object, "secondary") : null;
+
+      return {
+        reply: reply ? reply.text : "",
+        replyComplete: reply ? reply.complete : false,
+        emotion: emotion && emotion.complete ? emotion.text : null,
+        intensity: object ? readNumberField(object, "intensity") : null,
+        secondary: secondary && secondary.complete ? secondary.text : null,
+        secondaryIntensity: object ? readNumberField(object, "secondaryIntensity") : null
+      };
+    },
+
+    get raw() {
+      return buffer;
+    }
+  };
+}
+
+/**
+ * Splits growing text into complete sentences. Feed it the full text seen so
+ * far; it returns only sentences that have not been emitted yet.
+ */
+export function createSentenceSplitter(minLength = 12) {
+  let emitted = 0;
+
+  return {
+    push(fullText) {
+      const sentences = [];
+      const pending = fullText.slice(emitted);
+      const re = /[.!?]+["')\]]*\s+/g;
+      let cut = 0;
+      let m;
+
+      while ((m = re.exec(pending)) !== null) {
+        const end = m.index + m[0].length;
+        const sentence = pending.slice(cut, end).trim();
+        // Very short fragments ("Hi." / "Dr.") are merged into the next sentence
+        if (sentence.length < minLength) continue;
+        sentences.push(sentence);
+        cut = end;
+      }
+
+      emitted += cut;
+      return sentences;
+    },
+
+    flush(fullText) {
+      const rest = fullText.slice(emitted).trim();
+      emitted = fullText.length;
+      return rest ? [rest] : [];
+    }
+  };
+}
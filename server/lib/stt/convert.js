@@ -0,0 +1,42 @@
+/**
+ * Bring uploaded recordings (webm/opus, ogg, mp4, wav...) to the 16 kHz mono
+ * 16-bit WAV that whisper.cpp and most STT engines expect, using ffmpeg.
+ */
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { parseWav } from "../wav.js";
+import { runProcess } from "../aligners/process.js";
+
+export const STT_SAMPLE_RATE = 16000;
+
+function isSttWav(buffer) {
+  try {
+    const info = parseWav(buffer);
+    return info.audioFormat === 1 && info.channels === 1 &&
+      info.bitsPerSample === 16 && info.sampleRate === STT_SAMPLE_RATE;
+  } catch (err) {
+    return false;
+  }
+}
+
+export async function toSttWav(audio, { ffmpegPath = "ffmpeg", timeoutMs = 30000 } = {}) {
+  if (isSttWav(audio)) return audio;
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "stt_"));
+  const inPath = path.join(dir, "input");
+  const outPath = path.join(dir, "audio.wav");
+  try {
+    fs.writeFileSync(inPath, audio);
+    await runProcess(ffmpegPath, [
+      "-hide_banner", "-loglevel", "error", "-y", "-i", inPath,
+      "-ar", String(STT_SAMPLE_RATE), "-ac", "1", "-c:a", "pcm_s16le", outPath
+    ], { timeoutMs });
+    return fs.readFileSync(outPath);
+  } catch (err) {
+    if (err.code === "ENOENT") throw new Error(`ffmpeg not found (${ffmpegPath}); set FFMPEG_PATH or upload 16 kHz mono WAV`);
+    throw err;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
@@ -0,0 +1,45 @@
+/**
+ * STT adapter for an HTTP transcription service: the whisper.cpp server
+ * (`/inference`) or any OpenAI-compatible `/v1/audio/transcriptions` endpoint.
+ *
+ * Request:  POST <url>  multipart with `file` (16 kHz mono WAV), `language`,
+ *           `response_format=json` and, if set, `model`
+ * Response: { "text": "..." }
+ */
+import fetch from "node-fetch";
+import FormData from "form-data";
+import { cleanTranscript } from "./whisper.js";
+
+export function createHttpProvider({ url, apiKey, model, timeoutMs = 60000 } = {}) {
+  if (!url) throw new Error("http STT provider needs STT_HTTP_URL");
+
+  return {
+    name: "http",
+    needsWav: true,
+
+    async transcribe(wav, { language = "en" } = {}) {
+      const form = new FormData();
+      form.append("file", wav, { filename: "audio.wav", contentType: "audio/wav" });
+      form.append("language", language);
+      form.append("response_format", "json");
+      if (model) form.append("model", model);
+
+      const headers = form.getHeaders();
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+      const controller = new AbortController();
+      const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+      try {
+        const res = await fetch(url, { method: "POST", body: form, headers, signal: controller.signal });
+        if (!res.ok) {
+          throw new Error(`STT HTTP error ${res.status}: ${await res.text()}`);
+        }
+        const j = await res.json();
+        return { text: cleanTranscript(j.text), language: j.language || language };
+      } finally {
+        clearTimeout(timeout);
+      }
+    }
+  };
+}
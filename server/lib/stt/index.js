@@ -0,0 +1,40 @@
+/**
+ * Speech-to-text provider registry.
+ *
+ * A provider exposes `transcribe(audio, { language })` resolving to
+ *   { text, language }
+ * Providers with `needsWav` receive 16 kHz mono WAV; `createSTT` converts
+ * other uploads (e.g. the browser's webm/opus recordings) with ffmpeg first.
+ */
+import { createWhisperProvider } from "./whisper.js";
+import { createHttpProvider } from "./http.js";
+import { createMockProvider } from "./mock.js";
+import { toSttWav } from "./convert.js";
+
+const PROVIDERS = {
+  whisper: createWhisperProvider,
+  http: createHttpProvider,
+  mock: createMockProvider
+};
+
+export function createSTT(config = {}) {
+  const name = config.provider || "whisper";
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown STT provider "${name}" (expected one of: ${Object.keys(PROVIDERS).join(", ")})`);
+  }
+
+  const provider = factory({ ...config, ...(config[name] || {}) });
+
+  return {
+    name: provider.name,
+
+    async transcribe(audio, options = {}) {
+      const input = provider.needsWav
+        ? await toSttWav(audio, { ffmpegPath: config.ffmpegPath, timeoutMs: config.timeoutMs })
+        : audio;
+      const result = await provider.transcribe(input, { language: options.language || config.language || "en" });
+      return { ...result, provider: provider.name };
+    }
+  };
+}
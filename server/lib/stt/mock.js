@@ -0,0 +1,15 @@
+/**
+ * Offline provider for tests and demos: every recording is heard as the same
+ * sentence (STT_MOCK_TEXT).
+ */
+
+export function createMockProvider({ text = "Hello there." } = {}) {
+  return {
+    name: "mock",
+    needsWav: false,
+
+    async transcribe(audio, { language = "en" } = {}) {
+      return { text, language };
+    }
+  };
+}
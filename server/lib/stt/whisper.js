@@ -0,0 +1,41 @@
+/**
+ * whisper.cpp command-line adapter. Build whisper.cpp and download a model, e.g.
+ *   ./models/download-ggml-model.sh base.en
+ * then point WHISPER_BIN at `whisper-cli` (`main` in older builds) and
+ * WHISPER_MODEL at the .bin file.
+ */
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { runProcess } from "../aligners/process.js";
+
+// whisper.cpp marks non-speech as [BLANK_AUDIO], [MUSIC], (wind blowing)...
+export function cleanTranscript(text) {
+  return String(text || "")
+    .replace(/\[[^\]]*\]|\([^)]*\)/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+export function createWhisperProvider({ bin = "whisper-cli", model, threads, timeoutMs = 60000 } = {}) {
+  if (!model) throw new Error("whisper STT provider needs WHISPER_MODEL");
+
+  return {
+    name: "whisper",
+    needsWav: true,
+
+    async transcribe(wav, { language = "en" } = {}) {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "whisper_"));
+      const wavPath = path.join(dir, "audio.wav");
+      try {
+        fs.writeFileSync(wavPath, wav);
+        const args = ["-m", model, "-f", wavPath, "-l", language, "-nt", "-np"];
+        if (threads) args.push("-t", String(threads));
+        const stdout = await runProcess(bin, args, { timeoutMs });
+        return { text: cleanTranscript(stdout), language };
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    }
+  };
+}
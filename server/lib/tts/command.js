@@ -0,0 +1,95 @@
+/**
+ * TTS adapter for local command-line engines such as espeak-ng or piper.
+ *
+ * The command is a template; placeholders are substituted per argument:
+ *   {text}  the text to speak (if absent, the text is written to stdin)
+ *   {out}   path of the WAV file the engine must write
+ *   {voice} voice / model name
+ *   {rate}  speed multiplier (1.0 = normal)
+ *   {wpm}   speed in words per minute (175 * rate), as espeak-ng expects
+ *
+ * Examples:
+ *   espeak-ng -v {voice} -s {wpm} -w {out} -- {text}
+ *   piper --model {voice} --length_scale 1 --output_file {out}
+ *
+ * Put `--` before {text} so the text can never be read as an option. Without
+ * it, text starting with "-" gets a leading space, which engines ignore but
+ * option parsers do not take for a flag.
+ */
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawn } from "child_process";
+
+// Split a command template into arguments, honouring simple quoting
+function splitArgs(template) {
+  const args = [];
+  const re = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let m;
+  while ((m = re.exec(template)) !== null) {
+    args.push(m[1] ?? m[2] ?? m[3]);
+  }
+  return args;
+}
+
+export function createCommandProvider({ command, timeoutMs = 20000 } = {}) {
+  if (!command) throw new Error("command TTS provider needs TTS_COMMAND");
+
+  return {
+    name: "command",
+
+    synthesize(text, { voice = "", rate = 1.0, signal } = {}) {
+      const out = path.join(os.tmpdir(), `tmp_tts_${Date.now()}_${Math.random().toString(36).slice(2)}.wav`);
+      const values = {
+        text,
+        out,
+        voice: voice || "",
+        rate: String(rate),
+        wpm: String(Math.round(175 * rate))
+      };
+
+      const template = splitArgs(command);
+      const textArg = template.indexOf("{text}");
+      if (textArg !== -1 && !template.slice(0, textArg).includes("--") && text.startsWith("-")) {
+        values.text = ` ${text}`;
+      }
+
+      const [bin, ...args] = template.map((arg) =>
+        arg.replace(/\{(text|out|voice|rate|wpm)\}/g, (_, key) => values[key])
+      );
+      const useStdin = !command.includes("{text}");
+
+      return new Promise((resolve, reject) => {
+        const child = spawn(bin, args, { signal, killSignal: "SIGKILL", stdio: [useStdin ? "pipe" : "ignore", "ignore", "pipe"] });
+        let stderr = "";
+        const timer = setTimeout(() => child.kill("SIGKILL"), timeoutMs);
+
+        child.stderr.on("data", (d) => { stderr += d; });
+        child.on("error", (err) => {
+          clearTimeout(timer);
+          try { fs.unlinkSync(out); } catch (e) { }
+          reject(err);
+        });
+        child.on("close", (code) => {
+          clearTimeout(timer);
+          if (code !== 0) {
+            try { fs.unlinkSync(out); } catch (e) { }
+            return reject(new Error(`${bin} exited with ${code}: ${stderr.trim()}`));
+          }
+          try {
+            const wav = fs.readFileSync(out);
+            fs.unlinkSync(out);
+            resolve({ wav });
+          } catch (e) {
+            reject(e);
+          }
+        });
+
+        if (useStdin) {
+          child.stdin.on("error", () => { }); // engine may exit without reading stdin
+          child.stdin.end(text);
+        }
+      });
+    }
+  };
+}
@@ -0,0 +1,54 @@
+/**
+ * TTS adapter for an HTTP synthesis service.
+ *
+ * Request:  POST <url>  { "text": "...", "voice": "...", "rate": 1.0 }
+ * Response: either a raw `audio/wav` body, or JSON:
+ *   {
+ *     "audio": "<base64 wav>",
+ *     "phonemes": [{ "phoneme": "HH", "start": 0.0, "end": 0.08 }, ...],   // optional
+ *     "words":    [{ "word": "hello", "start": 0.0, "end": 0.4 }, ...]     // optional
+ *   }
+ * Timings, when present, are used for the viseme timeline instead of the aligner.
+ */
+import fetch from "node-fetch";
+
+export function createHttpProvider({ url, timeoutMs = 20000 } = {}) {
+  if (!url) throw new Error("http TTS provider needs TTS_HTTP_URL");
+
+  return {
+    name: "http",
+
+    async synthesize(text, { voice = null, rate = 1.0, signal } = {}) {
+      const controller = new AbortController();
+      const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+      try {
+        const res = await fetch(url, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ text, voice, rate }),
+          signal: signal ? AbortSignal.any([controller.signal, signal]) : controller.signal
+        });
+
+        if (!res.ok) {
+          throw new Error(`TTS HTTP error ${res.status}: ${await res.text()}`);
+        }
+
+        const type = res.headers.get("content-type") || "";
+        if (!type.includes("json")) {
+          return { wav: Buffer.from(await res.arrayBuffer()) };
+        }
+
+        const j = await res.json();
+        if (!j.audio) throw new Error("TTS HTTP response has no audio");
+        return {
+          wav: Buffer.from(j.audio, "base64"),
+          phones: Array.isArray(j.phonemes) ? j.phonemes : null,
+          words: Array.isArray(j.words) ? j.words : null
+        };
+      } finally {
+        clearTimeout(timeout);
+      }
+    }
+  };
+}
@@ -0,0 +1,59 @@
+/**
+ * TTS provider registry.
+ *
+ * A provider exposes `synthesize(text, { voice, rate, signal })` resolving to
+ *   { wav: Buffer, phones?: [{ phoneme, start, end }], words?: [{ word, start, end }] }
+ * `createTTS` wraps it so callers also get the PCM format and duration.
+ */
+import { createSayProvider } from "./say.js";
+import { createCommandProvider } from "./command.js";
+import { createHttpProvider } from "./http.js";
+import { parseWav } from "../wav.js";
+
+const PROVIDERS = {
+  say: createSayProvider,
+  command: createCommandProvider,
+  http: createHttpProvider
+};
+
+export function createTTS(config = {}) {
+  const name = config.provider || "say";
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown TTS provider "${name}" (expected one of: ${Object.keys(PROVIDERS).join(", ")})`);
+  }
+
+  const provider = factory(config);
+
+  return {
+    name: provider.name,
+
+    async synthesize(text, options = {}) {
+      const signal = options.signal;
+      if (signal) signal.throwIfAborted();
+      const result = await provider.synthesize(text, {
+        voice: options.voice ?? config.voice,
+        rate: options.rate ?? config.rate ?? 1.0,
+        signal
+      });
+      // Providers that cannot be stopped midway still must not deliver late audio
+      if (signal) signal.throwIfAborted();
+
+      let format = null;
+      try {
+        format = parseWav(result.wav);
+      } catch (err) {
+        console.warn(`${provider.name} TTS returned unreadable WAV:`, err.message);
+      }
+
+      return {
+        wav: result.wav,
+        format,
+        duration: format ? format.duration : null,
+        phones: result.phones || null,
+        words: result.words || null,
+        provider: provider.name
+      };
+    }
+  };
+}
@@ -0,0 +1,31 @@
+/**
+ * TTS adapter for the `say` package (OS voices: SAPI on Windows, `say` on
+ * macOS, Festival on Linux).
+ */
+import fs from "fs";
+import os from "os";
+import path from "path";
+import say from "say";
+
+export function createSayProvider() {
+  return {
+    name: "say",
+
+    synthesize(text, { voice = null, rate = 1.0 } = {}) {
+      const tmpPath = path.join(os.tmpdir(), `tmp_tts_${Date.now()}_${Math.random().toString(36).slice(2)}.wav`);
+
+      return new Promise((resolve, reject) => {
+        say.export(text, voice, rate, tmpPath, (err) => {
+          if (err) return reject(err);
+          try {
+            const wav = fs.readFileSync(tmpPath);
+            fs.unlinkSync(tmpPath);
+            resolve({ wav });
+          } catch (e) {
+            reject(e);
+          }
+        });
+      });
+    }
+  };
+}
@@ -0,0 +1,46 @@
+/**
+ * The viseme set shared by the server and the client.
+ *
+ * Nine mouth shapes plus rest, following the Preston Blair / Rhubarb Lip Sync
+ * grouping and matching the images in client/assets/visemes. The client gets
+ * this definition from GET /visemes and the WebSocket "info" message and
+ * checks that it has an image for every shape.
+ */
+
+export const VISEME_SET = {
+  name: "preston-blair-9",
+  rest: "rest",
+  default: "C",
+  visemes: [
+    { id: "M", description: "Closed lips", phonemes: ["M", "B", "P", "EM"] },
+    { id: "B", description: "Teeth together, lips slightly open", phonemes: ["S", "Z", "T", "D", "N", "K", "G", "NG", "SH", "ZH", "CH", "JH", "EN"] },
+    { id: "C", description: "Mid open", phonemes: ["EH", "EY", "ER", "HH"] },
+    { id: "A", description: "Open", phonemes: ["AE", "AH"] },
+    { id: "D", description: "Wide open", phonemes: ["AA", "AW", "AY"] },
+    { id: "E", description: "Spread / smile", phonemes: ["IY", "IH", "Y"] },
+    { id: "O", description: "Rounded", phonemes: ["AO", "OW", "OY", "UH", "UW", "W", "WH", "R"] },
+    { id: "FV", description: "Lower lip to teeth", phonemes: ["F", "V"] },
+    { id: "L", description: "Tongue up / between teeth", phonemes: ["L", "EL", "TH", "DH"] }
+  ],
+  silence: ["SIL", "SP", "SPN", "CLOSURE"]
+};
+
+// Phoneme -> viseme lookup derived from the set
+export const PHONEME_TO_VISEME = (() => {
+  const map = {};
+  for (const ph of VISEME_SET.silence) map[ph] = VISEME_SET.rest;
+  for (const v of VISEME_SET.visemes) {
+    for (const ph of v.phonemes) map[ph] = v.id;
+  }
+  map.DEFAULT = VISEME_SET.default;
+  return map;
+})();
+
+export function visemeForPhoneme(phoneme) {
+  return PHONEME_TO_VISEME[phoneme] || PHONEME_TO_VISEME.DEFAULT;
+}
+
+// Every viseme id the pipeline can emit (including rest)
+export function emittableVisemes() {
+  return [...new Set(Object.values(PHONEME_TO_VISEME))];
+}
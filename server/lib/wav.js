@@ -0,0 +1,94 @@
+/**
+ * Minimal RIFF/WAVE reader - enough to get PCM format info and the sample data
+ * without writing the audio to a temp file.
+ */
+
+export function parseWav(buffer) {
+  if (!buffer || buffer.length < 12 ||
+    buffer.toString("ascii", 0, 4) !== "RIFF" || buffer.toString("ascii", 8, 12) !== "WAVE") {
+    throw new Error("not a RIFF/WAVE buffer");
+  }
+
+  let format = null;
+  let dataOffset = -1;
+  let dataLength = 0;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString("ascii", offset, offset + 4);
+    let size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (id === "fmt ") {
+      format = {
+        audioFormat: buffer.readUInt16LE(body),
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14)
+      };
+    } else if (id === "data") {
+      // Streaming encoders write 0 or 0xFFFFFFFF when the length is unknown
+      if (size === 0 || size === 0xFFFFFFFF || body + size > buffer.length) {
+        size = buffer.length - body;
+      }
+      dataOffset = body;
+      dataLength = size;
+      break;
+    }
+
+    offset = body + size + (size % 2); // chunks are word aligned
+  }
+
+  if (!format || dataOffset < 0) throw new Error("WAV is missing fmt or data chunk");
+
+  const bytesPerFrame = (format.bitsPerSample / 8) * format.channels || 2;
+  return {
+    ...format,
+    dataOffset,
+    dataLength,
+    duration: dataLength / bytesPerFrame / format.sampleRate
+  };
+}
+
+// 44-byte PCM header for `dataLength` bytes of samples in `format`
+function wavHeader(format, dataLength) {
+  const blockAlign = format.channels * format.bitsPerSample / 8;
+  const header = Buffer.alloc(44);
+  header.write("RIFF", 0, "ascii");
+  header.writeUInt32LE(36 + dataLength, 4);
+  header.write("WAVE", 8, "ascii");
+  header.write("fmt ", 12, "ascii");
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(format.audioFormat, 20);
+  header.writeUInt16LE(format.channels, 22);
+  header.writeUInt32LE(format.sampleRate, 24);
+  header.writeUInt32LE(format.sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(format.bitsPerSample, 34);
+  header.write("data", 36, "ascii");
+  header.writeUInt32LE(dataLength, 40);
+  return header;
+}
+
+// Join WAV buffers that share one PCM format into a single WAV
+export function concatWavs(buffers) {
+  const parts = buffers.map(parseWav);
+  const first = parts[0];
+  for (const p of parts) {
+    if (p.audioFormat !== first.audioFormat || p.channels !== first.channels ||
+      p.sampleRate !== first.sampleRate || p.bitsPerSample !== first.bitsPerSample) {
+      throw new Error("cannot join WAVs with different formats");
+    }
+  }
+
+  const data = Buffer.concat(parts.map((p, i) => buffers[i].subarray(p.dataOffset, p.dataOffset + p.dataLength)));
+  return Buffer.concat([wavHeader(first, data.length), data]);
+}
+
+// `duration` seconds of silence in the given format
+export function silentWav(format, duration) {
+  const blockAlign = format.channels * format.bitsPerSample / 8;
+  const data = Buffer.alloc(Math.max(0, Math.round(duration * format.sampleRate)) * blockAlign);
+  if (format.bitsPerSample === 8) data.fill(128); // 8-bit PCM is unsigned
+  return Buffer.concat([wavHeader(format, data.length), data]);
+}
@@ -3,15 +3,31 @@
  */
 import express from "express";
 import cors from "cors";
-import fetch from "node-fetch";
-import FormData from "form-data";
 import fs from "fs";
+import crypto from "crypto";
 import path from "path";
+import { fileURLToPath } from "url";
 import { WebSocketServer } from "ws";
-import say from "say";
 import wavFileInfo from "wav-file-info";
 import { promisify } from "util";
 import dotenv from "dotenv";
+import { SessionStore, isValidSessionId } from "./lib/sessions.js";
+import { ClientRegistry, cleanId } from "./lib/clients.js";
+import { PROTOCOL_VERSION, SUBPROTOCOL, MAX_MESSAGE_BYTES, negotiateVersion, parseClientMessage, errorMessage, validateChatText } from "./lib/protocol.js";
+import { createReplyExtractor, createSentenceSplitter } from "./lib/streaming.js";
+import { createTTS } from "./lib/tts/index.js";
+import { createSTT } from "./lib/stt/index.js";
+import { createLLMRegistry } from "./lib/llm/index.js";
+import { parseReply, correctivePrompt, fallbackReply, normalizeAffect } from "./lib/replyParser.js";
+import { textToPhonemeTimeline } from "./lib/g2p.js";
+import { analyzeSpeech, warpTimeline } from "./lib/audioAnalysis.js";
+import { createAlignerChain } from "./lib/aligners/index.js";
+import { VISEME_SET, visemeForPhoneme } from "./lib/visemeSet.js";
+import { parseEmotionMarkers, stripEmotionMarkers, buildEmotionCues } from "./lib/emotionCues.js";
+import { createAvatarStore } from "./lib/avatars.js";
+import { ReplyStore } from "./lib/replies.js";
+import { renderReplyVideo, FORMATS as VIDEO_FORMATS } from "./lib/render/index.js";
+import { AUDIO_FORMATS, encodeAudio } from "./lib/audioCodec.js";
 
 dotenv.config();
 
@@ -24,55 +40,132 @@ const readWavInfo = promisify(wavFileInfo.infoByFilename);
 
 // Config
 const HTTP_PORT = process.env.HTTP_PORT ? Number(process.env.HTTP_PORT) : 3000;
-const WS_PORT = process.env.WS_PORT ? Number(process.env.WS_PORT) : 8080;
-const OLLAMA_URL = process.env.OLLAMA_URL || "http://localhost:11434/v1/chat/completions";
-const GENTLE_URL = process.env.GENTLE_URL || "http://localhost:8765/transcriptions?async=false";
-
-// Enhanced Phoneme -> Viseme mapping
-const PHONEME_TO_VISEME = {
-  // SILENCE/REST
-  "SIL": "rest", "SPN": "rest", "CLOSURE": "rest",
-
-  // Vowels - Open mouth
-  "AA": "A", "AE": "A", "AH": "A", "AO": "O", "AW": "O",
-  "AY": "A", "EH": "E", "ER": "A", "EY": "E",
-
-  // Front vowels/smile
-  "IY": "E", "IH": "E", "Y": "E",
-
-  // Back vowels - Round
-  "OW": "O", "UH": "O", "UW": "O",
-
-  // Bilabials - Closed lips
-  "B": "M", "P": "M", "M": "M", "EM": "M",
+const WS_PORT = process.env.WS_PORT !== undefined ? Number(process.env.WS_PORT) : 8080; // legacy socket; 0 = off
+
+// Forced aligners, tried in order (gentle | mfa | aeneas | fixture)
+const aligners = createAlignerChain(
+  (process.env.ALIGNERS || "gentle").split(",").map((s) => s.trim()).filter(Boolean),
+  {
+    gentle: {
+      url: process.env.GENTLE_URL || "http://localhost:8765/transcriptions?async=false",
+      timeoutMs: Number(process.env.GENTLE_TIMEOUT_MS) || 10000
+    },
+    mfa: {
+      bin: process.env.MFA_BIN || "mfa",
+      dictionary: process.env.MFA_DICTIONARY || "english_us_arpa",
+      acousticModel: process.env.MFA_ACOUSTIC_MODEL || "english_us_arpa",
+      timeoutMs: Number(process.env.MFA_TIMEOUT_MS) || 60000
+    },
+    aeneas: {
+      python: process.env.AENEAS_PYTHON || "python3",
+      language: process.env.AENEAS_LANGUAGE || "eng",
+      timeoutMs: Number(process.env.AENEAS_TIMEOUT_MS) || 60000
+    },
+    fixture: {
+      dir: process.env.ALIGNER_FIXTURE_DIR
+    }
+  }
+);
+
+// Language model backend (openai | ollama | mock), overridable per request
+const llm = createLLMRegistry({
+  provider: process.env.LLM_PROVIDER || "openai",
+  model: process.env.LLM_MODEL || "phi3:mini",
+  temperature: process.env.LLM_TEMPERATURE ? Number(process.env.LLM_TEMPERATURE) : 0.7,
+  maxTokens: process.env.LLM_MAX_TOKENS ? Number(process.env.LLM_MAX_TOKENS) : 512,
+  timeoutMs: Number(process.env.LLM_TIMEOUT_MS) || 60000,
+  openai: {
+    url: process.env.LLM_URL || process.env.OLLAMA_URL || "http://localhost:11434/v1/chat/completions",
+    apiKey: process.env.LLM_API_KEY
+  },
+  ollama: {
+    url: process.env.OLLAMA_CHAT_URL || "http://localhost:11434/api/chat"
+  }
+});
 
-  // Labiodental
-  "F": "FV", "V": "FV",
+// Text-to-speech backend (say | command | http)
+const tts = createTTS({
+  provider: process.env.TTS_PROVIDER || "say",
+  voice: process.env.TTS_VOICE || null,
+  rate: process.env.TTS_RATE ? Number(process.env.TTS_RATE) : 1.0,
+  command: process.env.TTS_COMMAND,
+  url: process.env.TTS_HTTP_URL,
+  timeoutMs: Number(process.env.TTS_TIMEOUT_MS) || 20000
+});
 
-  // L sounds
-  "L": "L", "EL": "L",
+// Speech-to-text for voice input (whisper | http | mock). Optional: without a
+// working engine the server still runs and /transcribe answers 503.
+let stt = null;
+try {
+  stt = createSTT({
+    provider: process.env.STT_PROVIDER || "whisper",
+    language: process.env.STT_LANGUAGE || "en",
+    ffmpegPath: process.env.FFMPEG_PATH || "ffmpeg",
+    timeoutMs: Number(process.env.STT_TIMEOUT_MS) || 60000,
+    whisper: {
+      bin: process.env.WHISPER_BIN || "whisper-cli",
+      model: process.env.WHISPER_MODEL,
+      threads: process.env.WHISPER_THREADS ? Number(process.env.WHISPER_THREADS) : undefined
+    },
+    http: {
+      url: process.env.STT_HTTP_URL,
+      apiKey: process.env.STT_API_KEY,
+      model: process.env.STT_HTTP_MODEL
+    },
+    mock: {
+      text: process.env.STT_MOCK_TEXT
+    }
+  });
+} catch (err) {
+  console.warn("Speech-to-text disabled:", err.message);
+}
+const STT_MAX_BYTES = Number(process.env.STT_MAX_BYTES) || 10 * 1024 * 1024;
+
+// Conversation memory
+const sessions = new SessionStore({
+  maxTurns: Number(process.env.SESSION_MAX_TURNS) || 12,
+  maxTokens: Number(process.env.SESSION_MAX_TOKENS) || 1500,
+  keepTurns: Number(process.env.SESSION_KEEP_TURNS) || 4,
+  ttlMs: Number(process.env.SESSION_TTL_MS) || 30 * 60 * 1000
+});
+setInterval(() => sessions.prune(), 60 * 1000).unref();
 
-  // Sibilants
-  "S": "E", "Z": "E", "SH": "E", "ZH": "E",
+// Avatar packs (one directory with a manifest.json per character)
+const avatars = createAvatarStore({
+  dir: process.env.AVATARS_DIR || fileURLToPath(new URL("../client/assets/avatars", import.meta.url))
+});
 
-  // Affricates
-  "CH": "E", "JH": "E",
+// Recent replies (audio + timelines) kept for video export
+const replies = new ReplyStore({
+  maxReplies: Number(process.env.REPLY_STORE_MAX) || 50,
+  maxPerSession: Number(process.env.REPLY_STORE_MAX_PER_SESSION) || 10,
+  ttlMs: Number(process.env.REPLY_STORE_TTL_MS) || 30 * 60 * 1000
+});
 
-  // Dental
-  "TH": "E", "DH": "E",
+// Reply audio served by GET /audio (wav as synthesized, or opus)
+const AUDIO = {
+  format: process.env.AUDIO_FORMAT || "wav",
+  ffmpegPath: process.env.FFMPEG_PATH || "ffmpeg",
+  bitrate: process.env.AUDIO_OPUS_BITRATE || "32k"
+};
+if (!AUDIO_FORMATS[AUDIO.format]) {
+  console.warn(`Unknown AUDIO_FORMAT "${AUDIO.format}", serving wav`);
+  AUDIO.format = "wav";
+}
 
-  // Nasals
-  "N": "M", "NG": "M", "EN": "M",
+// Video export (POST /render)
+const RENDER = {
+  ffmpegPath: process.env.FFMPEG_PATH || "ffmpeg",
+  fps: Number(process.env.RENDER_FPS) || 25,
+  size: Number(process.env.RENDER_SIZE) || 512,
+  timeoutMs: Number(process.env.RENDER_TIMEOUT_MS) || 120000
+};
 
-  // Plosives
-  "T": "M", "D": "M", "K": "A", "G": "A",
+// How many times a malformed reply/emotion answer is sent back for correction
+const LLM_REPAIR_RETRIES = process.env.LLM_REPAIR_RETRIES !== undefined ? Number(process.env.LLM_REPAIR_RETRIES) : 1;
 
-  // Approximants
-  "R": "O", "W": "O", "WH": "O",
+const SYSTEM_PROMPT = "You are a concise chatbot. Return ONLY valid JSON with keys emotion (one of: neutral, happy, sad, angry, surprised), intensity (0 to 1, how strongly the emotion shows) and reply. Optionally add secondary (another emotion) and secondaryIntensity (0 to 1) for mixed feelings. To change emotion partway through the reply, put a marker such as [happy] or [sad 0.5] inside the reply text before the words it applies to.";
 
-  // Default
-  "DEFAULT": "A"
-};
 
 // Enhanced text cleaning for better phoneme alignment
 function cleanTextForTTS(text) {
@@ -82,110 +175,6 @@ function cleanTextForTTS(text) {
     .trim();
 }
 
-// Enhanced forced aligner with better error handling
-async function runForcedAligner(wavFilePath, transcript) {
-  try {
-    if (!fs.existsSync(wavFilePath)) {
-      console.warn("runForcedAligner: wav file missing:", wavFilePath);
-      return null;
-    }
-
-    const form = new FormData();
-    form.append("audio", fs.createReadStream(wavFilePath));
-    form.append("transcript", transcript);
-
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 10000); // 10 second timeout
-
-    const res = await fetch(GENTLE_URL, {
-      method: "POST",
-      body: form,
-      headers: form.getHeaders(),
-      signal: controller.signal
-    });
-
-    clearTimeout(timeout);
-
-    if (!res.ok) {
-      console.warn("Gentle HTTP error:", res.status, await res.text());
-      return null;
-    }
-
-    const json = await res.json();
-
-    const phones = [];
-    if (json && Array.isArray(json.words)) {
-      let currentTime = 0;
-
-      for (const w of json.words) {
-        if (w.case === "not-found-in-audio" || !w.alignedWord) {
-          // Add default phoneme for non-aligned words
-          const defaultPhone = {
-            phoneme: "SIL",
-            start: currentTime,
-            end: currentTime + 0.1,
-            confidence: 0
-          };
-          phones.push(defaultPhone);
-          currentTime += 0.1;
-          continue;
-        }
-
-        if (Array.isArray(w.phones)) {
-          for (const p of w.phones) {
-            if (!p.phone) continue;
-
-            let phone = String(p.phone).replace(/\d/g, "").toUpperCase();
-            const start = (typeof p.start === "number") ? p.start :
-              (typeof w.start === "number" ? w.start : currentTime);
-            const dur = (typeof p.duration === "number") ? p.duration : 0.05;
-            const end = start + dur;
-            const confidence = p.score || 1.0;
-
-            phones.push({
-              phoneme: phone,
-              start: Number(start.toFixed(3)),
-              end: Number(end.toFixed(3)),
-              confidence: confidence
-            });
-
-            currentTime = end;
-          }
-        } else {
-          // Fallback for words without phone breakdown
-          const start = w.start || currentTime;
-          const end = w.end || start + 0.1;
-          const wordPhoneme = w.word ? guessPhonemeFromWord(w.word) : "SIL";
-
-          phones.push({
-            phoneme: wordPhoneme,
-            start: Number(start.toFixed(3)),
-            end: Number(end.toFixed(3)),
-            confidence: 0.5
-          });
-
-          currentTime = end;
-        }
-      }
-    }
-
-    return phones.length > 0 ? phones : null;
-  } catch (err) {
-    console.error("runForcedAligner exception:", err);
-    return null;
-  }
-}
-
-function guessPhonemeFromWord(word) {
-  const firstChar = word.charAt(0).toUpperCase();
-  if ("AEIOU".includes(firstChar)) return "AA";
-  if ("BPM".includes(firstChar)) return "M";
-  if ("FVCK".includes(firstChar)) return "FV";
-  if ("SZ".includes(firstChar)) return "S";
-  if ("L".includes(firstChar)) return "L";
-  return "AA";
-}
-
 // Enhanced phoneme smoothing and merging
 function smoothPhonemeTimeline(phones, mergeThreshold = 0.03) {
   if (!phones || phones.length === 0) return phones;
@@ -227,7 +216,7 @@ function phonemesToVisemesEnhanced(phones) {
 
   for (let i = 0; i < phones.length; i++) {
     const phone = phones[i];
-    const viseme = PHONEME_TO_VISEME[phone.phoneme] || PHONEME_TO_VISEME["DEFAULT"];
+    const viseme = visemeForPhoneme(phone.phoneme);
 
     // Determine if this should be a hold or transition
     const duration = phone.end - phone.start;
@@ -235,8 +224,8 @@ function phonemesToVisemesEnhanced(phones) {
 
     // For very short phonemes, combine with neighbors
     if (duration < 0.05 && i > 0 && i < phones.length - 1) {
-      const prevViseme = PHONEME_TO_VISEME[phones[i - 1].phoneme] || "A";
-      const nextViseme = PHONEME_TO_VISEME[phones[i + 1].phoneme] || "A";
+      const prevViseme = visemeForPhoneme(phones[i - 1].phoneme);
+      const nextViseme = visemeForPhoneme(phones[i + 1].phoneme);
 
       // Skip if sandwiched between same visemes
       if (prevViseme === nextViseme) {
@@ -268,51 +257,16 @@ function phonemesToVisemesEnhanced(phones) {
   return visemes;
 }
 
-// Generate fallback viseme timeline with better timing
+// Generate fallback viseme timeline from offline G2P phonemes
 function generateFallbackVisemes(text, duration) {
-  const words = text.toLowerCase().split(/\s+/);
-  const visemeSequence = [];
-  let timeCursor = 0;
-  const wordDuration = duration / Math.max(words.length, 1);
-
-  for (const word of words) {
-    const wordStart = timeCursor;
-    const wordEnd = timeCursor + wordDuration;
-
-    // Generate visemes for each character in the word
-    let charTime = wordStart;
-    const charDuration = wordDuration / Math.max(word.length, 1);
-
-    for (let i = 0; i < word.length; i++) {
-      const char = word[i];
-      const viseme = charToVisemeEnhanced(char);
-
-      if (visemeSequence.length === 0 || visemeSequence[visemeSequence.length - 1].viseme !== viseme) {
-        const visemeStart = charTime;
-        const visemeEnd = Math.min(wordEnd, charTime + charDuration);
-
-        visemeSequence.push({
-          viseme: viseme,
-          start: Number(visemeStart.toFixed(3)),
-          end: Number(visemeEnd.toFixed(3))
-        });
-      }
+  const phones = textToPhonemeTimeline(text, duration);
+  return finishTextTimeline(phones, duration);
+}
 
-      charTime += charDuration;
-    }
+function finishTextTimeline(phones, duration) {
+  if (phones.length === 0) return [];
 
-    // Add pause between words
-    if (word !== words[words.length - 1]) {
-      visemeSequence.push({
-        viseme: "rest",
-        start: charTime,
-        end: charTime + 0.05
-      });
-      timeCursor = charTime + 0.05;
-    } else {
-      timeCursor = wordEnd;
-    }
-  }
+  const visemeSequence = phonemesToVisemesEnhanced(smoothPhonemeTimeline(phones));
 
   // Ensure timeline matches total duration
   if (visemeSequence.length > 0) {
@@ -322,74 +276,164 @@ function generateFallbackVisemes(text, duration) {
   return visemeSequence;
 }
 
-function charToVisemeEnhanced(ch) {
-  ch = (ch || "").toLowerCase();
-  if ("aeiou".includes(ch)) return "A";
-  if ("bp".includes(ch)) return "M";
-  if ("m".includes(ch)) return "M";
-  if ("fv".includes(ch)) return "FV";
-  if ("l".includes(ch)) return "L";
-  if ("sz".includes(ch)) return "E";
-  if ("ckg".includes(ch)) return "A";
-  if ("o".includes(ch)) return "O";
-  if ("w".includes(ch)) return "O";
-  if ("tdnr".includes(ch)) return "M";
-  if ("h".includes(ch)) return "A";
-  return "rest";
-}
-
-// Call Ollama (unchanged)
-async function callOllama(userText) {
-  const prompt = [
-    { role: "system", content: "You are a concise chatbot. Return ONLY valid JSON with keys reply and emotion (emotion one of: neutral, happy, sad, angry, surprised)." },
-    { role: "user", content: `User: ${userText}\nReturn: {"reply":"...","emotion":"..."} JSON only.` }
-  ];
-
-  try {
-    const body = { model: "phi3:mini", messages: prompt };
-    const res = await fetch(OLLAMA_URL, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
-    if (!res.ok) {
-      console.error("Ollama error", res.status, await res.text());
-      return { reply: "Sorry, I couldn't generate a response.", emotion: "neutral" };
+// Aligner-free timeline: G2P phonemes warped onto the speech regions found in the audio.
+// Returns { visemes, source } where source is "energy" or, if analysis fails, "fallback".
+function generateEnergyAlignedVisemes(text, duration, wav) {
+  if (wav) {
+    try {
+      const analysis = analyzeSpeech(wav);
+      if (analysis.segments.length > 0) {
+        const phones = textToPhonemeTimeline(text, duration);
+        const warped = warpTimeline(phones, analysis.segments, duration);
+        return { visemes: finishTextTimeline(warped, duration), source: "energy" };
+      }
+    } catch (err) {
+      console.warn("Audio energy analysis failed:", err.message);
     }
-    const j = await res.json();
+  }
+  return { visemes: generateFallbackVisemes(text, duration), source: "fallback" };
+}
 
-    let text = "";
-    if (j.completion) text = j.completion;
-    else if (j.choices?.[0]?.message?.content) text = j.choices[0].message.content;
-    else text = JSON.stringify(j);
+// Fold older turns into a short running summary
+async function summarizeHistory(previousSummary, messages, llmOptions = {}) {
+  // Interrupted replies are labelled so they are not summarized as complete answers
+  const speaker = (m) => (m.role === "user" ? "User" : m.truncated ? "Assistant (interrupted)" : "Assistant");
+  const transcript = messages
+    .map((m) => `${speaker(m)}: ${m.content}`)
+    .join("\n");
+
+  const text = await llm.get(llmOptions.provider).complete([
+    { role: "system", content: "Summarize the conversation below in at most 3 short sentences. Keep names, facts and user preferences. Replies marked (interrupted) were cut off before they were finished. Plain text only." },
+    { role: "user", content: `${previousSummary ? `Earlier summary: ${previousSummary}\n` : ""}${transcript}` }
+  ], llmOptions);
+  if (!text) throw new Error("empty summary");
+  return text.trim();
+}
 
-    let cleaned = text.replace(/```json/g, "").replace(/```/g, "").trim();
+// Validate the model's answer, asking it to correct itself up to LLM_REPAIR_RETRIES times.
+// The returned parse info says which path produced the reply:
+// "direct" | "extracted" | "repaired" | "fallback".
+async function resolveModelReply(provider, prompt, text, llmOptions, allowRepair) {
+  let parsed = parseReply(text);
+  let attempts = 1;
+  let current = text;
+  let lastErrors = parsed.errors;
+  const conversation = [...prompt];
+
+  while (!parsed.ok && allowRepair && attempts <= LLM_REPAIR_RETRIES) {
+    console.warn(`Model reply invalid (${parsed.errors.join("; ")}), asking for a corrected answer`);
+    conversation.push(
+      { role: "assistant", content: current },
+      { role: "user", content: correctivePrompt(parsed.errors) }
+    );
+    current = await provider.complete(conversation, llmOptions);
+    attempts++;
+    parsed = parseReply(current);
+    if (parsed.ok) parsed.path = "repaired";
+    else lastErrors = parsed.errors;
+  }
 
-    try {
-      const parsed = JSON.parse(cleaned);
-      return { reply: (parsed.reply || cleaned), emotion: (parsed.emotion || "neutral") };
-    } catch (e) {
-      return { reply: cleaned, emotion: "neutral" };
+  if (parsed.ok) {
+    return { ...parsed.value, parse: { path: parsed.path, attempts } };
+  }
+  // Salvage from the original answer - that is what a streamed reply already spoke
+  return { ...fallbackReply(text), parse: { path: "fallback", attempts, errors: lastErrors } };
+}
+
+// Call the language model with the session's history.
+// llmOptions may pick { provider, model, temperature, maxTokens } for this request.
+// With onSentence the completion is streamed and every finished sentence of the
+// reply is handed over as soon as it is available: onSentence(sentence, affect), where
+// affect is { emotion, intensity, secondary, secondaryIntensity } or null while unknown.
+async function callLLM(userText, session, llmOptions = {}, onSentence = null) {
+  sessions.append(session, "user", userText);
+  const prompt = sessions.buildMessages(session, SYSTEM_PROMPT);
+  // Only the latest turn carries the output-format reminder.
+  // Emotion goes first so streamed replies know it before the first sentence.
+  prompt[prompt.length - 1].content = `User: ${userText}\nReturn: {"emotion":"...","intensity":0.0,"reply":"..."} JSON only.`;
+
+  let result;
+  let extractor = null;
+  try {
+    const provider = llm.get(llmOptions.provider);
+    let text;
+    if (onSentence) {
+      extractor = createReplyExtractor();
+      const splitter = createSentenceSplitter();
+
+      text = await provider.stream(prompt, (token) => {
+        const partial = extractor.push(token);
+        for (const sentence of splitter.push(partial.reply)) {
+          onSentence(sentence, partial.emotion ? normalizeAffect(partial) : null);
+        }
+      }, llmOptions);
+
+      const partial = extractor.current();
+      for (const sentence of splitter.flush(partial.reply)) {
+        onSentence(sentence, partial.emotion ? normalizeAffect(partial) : null);
+      }
+    } else {
+      text = await provider.complete(prompt, llmOptions);
     }
+
+    // A streamed reply has already been spoken, so it is not sent back for repair
+    result = await resolveModelReply(provider, prompt, text, llmOptions, !onSentence);
   } catch (err) {
-    console.error("callOllama error:", err);
-    return { reply: "Sorry, I couldn't generate a response.", emotion: "neutral" };
+    if (llmOptions.signal && llmOptions.signal.aborted) {
+      // Interrupted: remember only what had been generated so far
+      const partial = extractor ? extractor.current() : {};
+      result = {
+        reply: partial.reply || "",
+        ...normalizeAffect(partial),
+        parse: { path: "cancelled", attempts: 0 }
+      };
+    } else {
+      console.error("callLLM error:", err);
+      result = {
+        reply: "Sorry, I couldn't generate a response.",
+        ...normalizeAffect({ emotion: "neutral" }),
+        parse: { path: "error", attempts: 0 }
+      };
+    }
+  }
+
+  // A cancelled reply superseded by a newer message must not land after that message
+  const last = session.messages[session.messages.length - 1];
+  if (result.parse.path === "cancelled" && !(last && last.role === "user" && last.content === userText)) {
+    return result;
   }
+
+  // Nothing was generated before the interruption - keep no empty assistant turn
+  const truncated = result.parse.path === "cancelled";
+  if (truncated && !result.reply.trim()) return result;
+
+  // Stored in the same shape (and key order) the model is asked to produce
+  const { emotion, intensity, secondary, secondaryIntensity, reply } = result;
+  const answer = secondary ? { emotion, intensity, secondary, secondaryIntensity, reply } : { emotion, intensity, reply };
+  sessions.append(session, "assistant", JSON.stringify(answer), { truncated });
+  return result;
+}
+
+// Fold old turns into the summary in the background, once the reply has been delivered.
+// It is not tied to the request's signal, so it finishes even for a cancelled reply.
+function compactHistory(session, llmOptions = {}) {
+  const { signal, ...summaryOptions } = llmOptions;
+  sessions.compact(session, (summary, messages) => summarizeHistory(summary, messages, summaryOptions))
+    .catch((err) => console.error("History compaction failed:", err));
 }
 
-// TTS via say.export
-async function ttsToWavBase64(text) {
+// TTS via the configured provider
+async function synthesizeTTS(text, signal) {
   const cleanedText = cleanTextForTTS(text);
-  const tmpPath = path.join(".", `tmp_tts_${Date.now()}.wav`);
-
-  return new Promise((resolve, reject) => {
-    say.export(cleanedText, null, 1.0, tmpPath, async (err) => {
-      if (err) return reject(err);
-      try {
-        const buf = fs.readFileSync(tmpPath);
-        fs.unlinkSync(tmpPath);
-        resolve(buf.toString("base64"));
-      } catch (e) {
-        reject(e);
-      }
-    });
-  });
+  const result = await tts.synthesize(cleanedText, { signal });
+
+  return {
+    wav: result.wav,
+    audioBase64: result.wav.toString("base64"),
+    duration: result.duration,
+    phones: result.phones,
+    words: result.words
+  };
 }
 
 // Get audio duration
@@ -414,120 +458,690 @@ async function getAudioDuration(wavBase64) {
   return 1.0;
 }
 
-// HTTP /chat endpoint
-app.post("/chat", async (req, res) => {
-  const { text } = req.body;
-  if (!text) return res.status(400).json({ error: "text required" });
+// Viseme timeline from TTS word timings: each word gets its own fallback timeline
+function wordsToVisemes(words) {
+  const timeline = [];
+  let cursor = 0;
 
-  try {
-    // 1) Generate model reply + emotion
-    const parsed = await callOllama(text);
-    let reply = (parsed.reply || "").toString();
-    const emotion = parsed.emotion || "neutral";
+  for (const w of words) {
+    if (typeof w.start !== "number" || typeof w.end !== "number" || !w.word) continue;
+    if (w.start > cursor) {
+      timeline.push({ viseme: "rest", start: Number(cursor.toFixed(3)), end: Number(w.start.toFixed(3)) });
+    }
+    for (const v of generateFallbackVisemes(w.word, w.end - w.start)) {
+      timeline.push({
+        ...v,
+        start: Number((v.start + w.start).toFixed(3)),
+        end: Number((v.end + w.start).toFixed(3))
+      });
+    }
+    cursor = w.end;
+  }
+
+  return timeline;
+}
+
+// Start time of every spoken word: TTS word timings when available, otherwise
+// the G2P timeline (warped onto the detected speech when there is audio)
+function wordStartTimes(text, duration, speech) {
+  if (speech && speech.words && speech.words.length) {
+    return speech.words.map((w) => Number(w.start) || 0);
+  }
 
-    // 2) Produce TTS WAV
-    let audioBase64 = null;
+  let phones = textToPhonemeTimeline(text, duration);
+  if (speech && speech.wav) {
     try {
-      audioBase64 = await ttsToWavBase64(reply);
+      phones = warpTimeline(phones, analyzeSpeech(speech.wav).segments, duration);
     } catch (err) {
-      console.error("TTS generation failed:", err);
-      audioBase64 = null;
+      console.warn("Audio energy analysis failed:", err.message);
     }
+  }
+
+  const starts = [];
+  for (const p of phones) {
+    if (p.wordIndex !== undefined && starts[p.wordIndex] === undefined) starts[p.wordIndex] = p.start;
+  }
+  // Words without phonemes start where the previous one did
+  for (let i = 0; i < starts.length; i++) {
+    if (starts[i] === undefined) starts[i] = i > 0 ? starts[i - 1] : 0;
+  }
+  return starts;
+}
+
+// TTS + duration + alignment for one piece of text.
+// Inline emotion markers are stripped before speaking and returned as emotionCues.
+// Aborting `signal` stops the TTS engine and aligners and rejects.
+async function synthesizeSpeech(taggedText, signal = null) {
+  const { text, markers } = parseEmotionMarkers(taggedText);
+
+  // 1) Produce TTS WAV
+  let speech = null;
+  let audioBase64 = null;
+  try {
+    speech = await synthesizeTTS(text, signal);
+    audioBase64 = speech.audioBase64;
+  } catch (err) {
+    if (signal && signal.aborted) throw err;
+    console.error("TTS generation failed:", err);
+    audioBase64 = null;
+  }
+
+  // 2) Get audio duration
+  let durationSeconds = 1.0;
+  if (speech && speech.duration) {
+    durationSeconds = speech.duration;
+  } else if (audioBase64) {
+    durationSeconds = await getAudioDuration(audioBase64);
+  }
 
-    // 3) Get audio duration
-    let durationSeconds = 1.0;
-    if (audioBase64) {
-      durationSeconds = await getAudioDuration(audioBase64);
+  // 3) Use TTS-provided timings, else attempt forced alignment
+  let visemeTimeline = [];
+  let alignmentSource = "fallback";
+
+  if (speech && speech.phones && speech.phones.length) {
+    const phones = speech.phones.map((p) => ({
+      phoneme: String(p.phoneme || p.phone || "").replace(/\d/g, "").toUpperCase(),
+      start: Number(p.start),
+      end: Number(p.end),
+      confidence: p.confidence ?? 1.0
+    }));
+    visemeTimeline = phonemesToVisemesEnhanced(smoothPhonemeTimeline(phones));
+    alignmentSource = "tts";
+  } else if (speech && speech.words && speech.words.length) {
+    visemeTimeline = wordsToVisemes(speech.words);
+    alignmentSource = "tts";
+  } else if (audioBase64) {
+    const alignTmp = path.join(".", `tmp_align_${Date.now()}.wav`);
+    try {
+      fs.writeFileSync(alignTmp, Buffer.from(audioBase64, "base64"));
+
+      const aligned = await aligners.align({ wavPath: alignTmp, transcript: text, signal });
+
+      if (aligned) {
+        const smoothedPhones = smoothPhonemeTimeline(aligned.phones);
+        visemeTimeline = phonemesToVisemesEnhanced(smoothedPhones);
+        alignmentSource = aligned.source;
+        console.log(`${aligned.source} alignment successful: ${visemeTimeline.length} visemes`);
+      } else {
+        ({ visemes: visemeTimeline, source: alignmentSource } =
+          generateEnergyAlignedVisemes(text, durationSeconds, speech && speech.wav));
+        console.warn(`All aligners failed -> used ${alignmentSource} viseme timeline`);
+      }
+    } catch (err) {
+      if (signal && signal.aborted) throw err;
+      console.error("Aligner pipeline error:", err);
+      ({ visemes: visemeTimeline, source: alignmentSource } =
+        generateEnergyAlignedVisemes(text, durationSeconds, speech && speech.wav));
+    } finally {
+      try { fs.unlinkSync(alignTmp); } catch (e) { }
     }
+  } else {
+    visemeTimeline = generateFallbackVisemes(text, durationSeconds);
+  }
 
-    // 4) Attempt forced alignment
-    let visemeTimeline = [];
-    let alignmentSource = "fallback";
-
-    if (audioBase64) {
-      const alignTmp = path.join(".", `tmp_align_${Date.now()}.wav`);
-      try {
-        fs.writeFileSync(alignTmp, Buffer.from(audioBase64, "base64"));
-
-        const phones = await runForcedAligner(alignTmp, reply);
-
-        if (phones && phones.length) {
-          const smoothedPhones = smoothPhonemeTimeline(phones);
-          visemeTimeline = phonemesToVisemesEnhanced(smoothedPhones);
-          alignmentSource = "gentle";
-          console.log(`Gentle alignment successful: ${visemeTimeline.length} visemes`);
-        } else {
-          visemeTimeline = generateFallbackVisemes(reply, durationSeconds);
-          console.warn("Gentle failed -> used enhanced fallback viseme timeline");
-        }
-      } catch (err) {
-        console.error("Aligner pipeline error:", err);
-        visemeTimeline = generateFallbackVisemes(reply, durationSeconds);
-      } finally {
-        try { fs.unlinkSync(alignTmp); } catch (e) { }
+  // 4) Ensure timeline has at least one entry
+  if (visemeTimeline.length === 0) {
+    visemeTimeline = [{
+      viseme: "rest",
+      start: 0,
+      end: Math.max(durationSeconds, 0.1)
+    }];
+  }
+
+  // 5) Emotion cues on the same clock as the visemes
+  const emotionCues = markers.length
+    ? buildEmotionCues(markers, wordStartTimes(text, durationSeconds, speech), durationSeconds)
+    : [];
+
+  return {
+    audio: audioBase64,
+    duration: durationSeconds,
+    visemes: visemeTimeline,
+    emotionCues,
+    alignmentSource
+  };
+}
+
+// Emotion fields of a parsed reply, as sent to the client
+function affectOf(parsed) {
+  const { emotion, intensity, secondary, secondaryIntensity } = parsed;
+  return { emotion: emotion || "neutral", intensity, secondary, secondaryIntensity };
+}
+
+// What the ReplyStore keeps of one spoken piece of a reply
+function replySegment(text, affect, speech, seq = 0) {
+  return {
+    seq,
+    text,
+    ...affect,
+    wav: speech.audio ? Buffer.from(speech.audio, "base64") : null,
+    duration: speech.duration,
+    visemes: speech.visemes,
+    emotionCues: speech.emotionCues
+  };
+}
+
+// Where a reply segment's audio can be fetched (GET /audio), relative to the server.
+// The reply's key keeps other clients from fetching it by guessing the id.
+function audioUrlOf(replyId, seq, speech) {
+  const reply = replies.get(replyId);
+  return speech.audio && reply ? `/audio/${encodeURIComponent(replyId)}/${seq}?key=${reply.key}` : null;
+}
+
+// Streamed reply: every sentence is synthesized and sent as its own tts_chunk
+// while the model keeps generating. Chunks are synthesized in order, one at a time.
+// Aborting llmOptions.signal drops every chunk not yet sent and ends with tts_cancelled.
+async function streamReply(text, session, requestId, llmOptions = {}) {
+  const { signal } = llmOptions;
+  const cancelled = () => Boolean(signal && signal.aborted);
+  let seq = 0;
+  let sent = 0;
+  let queue = Promise.resolve();
+  let lastAffect = normalizeAffect({ emotion: "neutral" });
+  let carriedCue = null;
+  replies.create(requestId, { sessionId: session.id });
+
+  const parsed = await callLLM(text, session, llmOptions, (sentence, affect) => {
+    if (cancelled()) return;
+    const chunkSeq = seq++;
+    lastAffect = affect || lastAffect;
+    const replyAffect = lastAffect;
+
+    queue = queue.then(async () => {
+      if (cancelled()) return;
+      const speech = await synthesizeSpeech(sentence, signal);
+      if (cancelled()) return;
+      // An emotion switched to by an inline marker carries on into the next sentence
+      const chunkAffect = carriedCue || replyAffect;
+      const lastCue = speech.emotionCues[speech.emotionCues.length - 1];
+      if (lastCue) {
+        const { time, ...cueAffect } = lastCue;
+        carriedCue = cueAffect;
       }
-    } else {
-      visemeTimeline = generateFallbackVisemes(reply, durationSeconds);
+      replies.addSegment(requestId, replySegment(stripEmotionMarkers(sentence), chunkAffect, speech, chunkSeq));
+      sendToSession(session.id, {
+        type: "tts_chunk",
+        requestId,
+        sessionId: session.id,
+        seq: chunkSeq,
+        text: stripEmotionMarkers(sentence),
+        ...chunkAffect,
+        ...speech,
+        audioUrl: audioUrlOf(requestId, chunkSeq, speech),
+        timestamp: Date.now()
+      });
+      sent++;
+    }).catch((err) => {
+      if (!cancelled()) console.error("Chunk synthesis failed:", err);
+    });
+  });
+
+  await queue;
+
+  // No sentence was streamed (e.g. the model failed) - speak the final reply as one chunk
+  if (seq === 0 && parsed.reply && !cancelled()) {
+    try {
+      const speech = await synthesizeSpeech(parsed.reply, signal);
+      const chunkSeq = seq++;
+      replies.addSegment(requestId, replySegment(stripEmotionMarkers(parsed.reply), affectOf(parsed), speech, chunkSeq));
+      sendToSession(session.id, {
+        type: "tts_chunk",
+        requestId,
+        sessionId: session.id,
+        seq: chunkSeq,
+        text: stripEmotionMarkers(parsed.reply),
+        ...affectOf(parsed),
+        ...speech,
+        audioUrl: audioUrlOf(requestId, chunkSeq, speech),
+        timestamp: Date.now()
+      });
+      sent++;
+    } catch (err) {
+      if (!cancelled()) throw err;
     }
+  }
 
-    // 5) Ensure timeline has at least one entry
-    if (visemeTimeline.length === 0) {
-      visemeTimeline = [{
-        viseme: "rest",
-        start: 0,
-        end: Math.max(durationSeconds, 0.1)
-      }];
+  if (cancelled()) {
+    const cancelPayload = {
+      type: "tts_cancelled",
+      requestId,
+      sessionId: session.id,
+      chunks: sent,
+      timestamp: Date.now()
+    };
+    sendToSession(session.id, cancelPayload);
+    return cancelPayload;
+  }
+
+  const endPayload = {
+    type: "tts_end",
+    requestId,
+    sessionId: session.id,
+    reply: stripEmotionMarkers(parsed.reply),
+    ...affectOf(parsed),
+    parse: parsed.parse,
+    chunks: seq,
+    replyId: requestId,
+    timestamp: Date.now()
+  };
+  sendToSession(session.id, endPayload);
+  return endPayload;
+}
+
+// In-flight replies by requestId, so they can be cancelled (barge-in)
+const inflight = new Map(); // requestId -> { controller, sessionId }
+
+// A session speaks one reply at a time: starting a new one cancels the previous
+function beginRequest(requestId, sessionId) {
+  for (const [id, entry] of inflight) {
+    if (entry.sessionId === sessionId) cancelRequest(id, "superseded");
+  }
+  const controller = new AbortController();
+  inflight.set(requestId, { controller, sessionId });
+  return controller.signal;
+}
+
+function endRequest(requestId) {
+  inflight.delete(requestId);
+}
+
+// `sessionId`, when given, must own the request
+function cancelRequest(requestId, reason = "cancelled", sessionId = null) {
+  const entry = inflight.get(requestId);
+  if (!entry || (sessionId && entry.sessionId !== sessionId)) return false;
+  inflight.delete(requestId);
+  entry.controller.abort();
+  console.log(`Request ${requestId} ${reason}`);
+  return true;
+}
+
+// Optional per-request model selection; throws on an unknown provider
+function llmOptionsOf(fields) {
+  const llmOptions = {};
+  for (const key of ["provider", "model", "temperature", "maxTokens"]) {
+    if (fields[key] !== undefined) llmOptions[key] = fields[key];
+  }
+  llm.get(llmOptions.provider);
+  return llmOptions;
+}
+
+// One user turn, shared by POST /chat and the WebSocket user_message.
+// The reply is pushed to the session's sockets (tts, or tts_chunk... tts_end when
+// streaming) and the summary is returned; cancellation resolves to status "cancelled".
+async function runChat({ text, session, requestId, stream, llmOptions }) {
+  llmOptions.signal = beginRequest(requestId, session.id);
+
+  try {
+    // Streaming mode: sentences are pushed as tts_chunk messages
+    if (stream) {
+      const { type, ...payload } = await streamReply(text, session, requestId, llmOptions);
+      return { status: type === "tts_cancelled" ? "cancelled" : "ok", ...payload };
     }
 
-    // 6) Add metadata
+    // 1) Generate model reply + emotion
+    const parsed = await callLLM(text, session, llmOptions);
+    llmOptions.signal.throwIfAborted();
+    let reply = (parsed.reply || "").toString();
+
+    // 2) TTS, duration and viseme timeline
+    const speech = await synthesizeSpeech(reply, llmOptions.signal);
+
+    const replyId = requestId;
+    replies.create(replyId, { sessionId: session.id });
+    replies.addSegment(replyId, replySegment(stripEmotionMarkers(reply), affectOf(parsed), speech));
+
+    // 3) Add metadata
     const responsePayload = {
       status: "ok",
-      reply,
-      emotion,
-      visemes: visemeTimeline,
-      audio: audioBase64,
-      duration: durationSeconds,
-      alignmentSource: alignmentSource,
+      requestId,
+      sessionId: session.id,
+      replyId,
+      reply: stripEmotionMarkers(reply),
+      ...affectOf(parsed),
+      parse: parsed.parse,
+      visemes: speech.visemes,
+      emotionCues: speech.emotionCues,
+      audio: speech.audio,
+      audioUrl: audioUrlOf(replyId, 0, speech),
+      duration: speech.duration,
+      alignmentSource: speech.alignmentSource,
       timestamp: Date.now()
     };
 
-    res.json(responsePayload);
+    // 4) Push to the session's WebSocket clients
+    sendToSession(session.id, { type: "tts", ...responsePayload });
+    return responsePayload;
+  } catch (err) {
+    if (llmOptions.signal.aborted) return { status: "cancelled", requestId, sessionId: session.id };
+    throw err;
+  } finally {
+    endRequest(requestId);
+    compactHistory(session, llmOptions);
+  }
+}
+
+// HTTP /chat endpoint
+app.post("/chat", async (req, res) => {
+  const textError = validateChatText(req.body.text);
+  if (textError) return res.status(400).json({ status: "error", error: textError });
+  const text = req.body.text.trim();
+
+  const sessionId = req.get("X-Session-Id") || req.body.sessionId;
+  if (sessionId != null && !isValidSessionId(sessionId)) {
+    return res.status(400).json({ status: "error", error: "sessionId must be 1-128 letters, digits, _ . : or -" });
+  }
+  // The client's requestId is echoed in every reply message and names it in cancel messages
+  if (req.body.requestId !== undefined && !cleanId(req.body.requestId)) {
+    return res.status(400).json({ status: "error", error: "requestId must be 1-128 letters, digits, _ . : or -" });
+  }
+  const session = sessions.getOrCreate(sessionId);
 
-    // 7) Broadcast via WebSocket
-    const wsPayload = {
-      type: "tts",
-      ...responsePayload,
-      audio: audioBase64 // Keep audio in WS for real-time playback
-    };
-    broadcastWS(JSON.stringify(wsPayload));
+  let llmOptions;
+  try {
+    llmOptions = llmOptionsOf(req.body);
+  } catch (err) {
+    return res.status(400).json({ status: "error", error: err.message });
+  }
 
+  try {
+    const result = await runChat({
+      text,
+      session,
+      // Cancellable with a WebSocket { type: "cancel", requestId } message
+      requestId: req.body.requestId || crypto.randomUUID(),
+      stream: Boolean(req.body.stream),
+      llmOptions
+    });
+    // "audio": "url" leaves the base64 WAV out; fetch audioUrl instead
+    res.json(req.body.audio === "url" ? withoutInlineAudio(result) : result);
   } catch (err) {
     console.error("Chat endpoint error:", err);
     res.status(500).json({ status: "error", error: String(err) });
   }
 });
 
-// WebSocket server
-const wss = new WebSocketServer({ port: WS_PORT });
+// Voice input: the body is the raw recording (any format ffmpeg reads).
+// The client sends the returned text to /chat like a typed message.
+app.post("/transcribe", express.raw({ type: () => true, limit: STT_MAX_BYTES }), async (req, res) => {
+  if (!stt) return res.status(503).json({ status: "error", error: "speech-to-text is not configured" });
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ status: "error", error: "audio body required" });
+  }
+
+  try {
+    const started = Date.now();
+    const result = await stt.transcribe(req.body, { language: req.query.language });
+    console.log(`Transcribed ${req.body.length} bytes with ${result.provider} in ${Date.now() - started} ms: "${result.text}"`);
+    res.json({ status: "ok", ...result });
+  } catch (err) {
+    console.error("Transcribe error:", err);
+    res.status(500).json({ status: "error", error: err.message });
+  }
+});
+
+// Video export of a stored reply (replyId) or of text spoken on the spot
+app.post("/render", async (req, res) => {
+  const { replyId, text } = req.body;
+  const format = req.body.format || "mp4";
+  if (!VIDEO_FORMATS[format]) {
+    return res.status(400).json({ status: "error", error: `format must be one of: ${Object.keys(VIDEO_FORMATS).join(", ")}` });
+  }
+  if (!replyId) {
+    const textError = text === undefined ? "text or replyId required" : validateChatText(text);
+    if (textError) return res.status(400).json({ status: "error", error: textError });
+  }
+
+  const avatar = avatars.get(req.body.avatar || "default");
+  if (!avatar) return res.status(404).json({ status: "error", error: "avatar not found" });
+
+  let reply = replyId ? replies.get(replyId) : null;
+  if (replyId && !reply) return res.status(404).json({ status: "error", error: "reply not found" });
 
-function broadcastWS(msg) {
-  wss.clients.forEach((c) => {
-    if (c.readyState === 1) c.send(msg);
+  const fps = Math.min(Math.max(Number(req.body.fps) || RENDER.fps, 1), 60);
+  const size = Math.min(Math.max(Math.round(Number(req.body.size) || RENDER.size), 64), 1080) & ~1; // even for yuv420p
+
+  // Stop working on the video once the client has gone away
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) controller.abort(new Error("client disconnected"));
   });
+
+  try {
+    if (!reply) {
+      const speech = await synthesizeSpeech(text.trim(), controller.signal);
+      controller.signal.throwIfAborted();
+      reply = replies.create(crypto.randomUUID());
+      replies.addSegment(reply.id, replySegment(stripEmotionMarkers(text.trim()), normalizeAffect(req.body), speech));
+    }
+
+    const started = Date.now();
+    const result = await renderReplyVideo(reply, {
+      avatar, size, fps, format, ffmpegPath: RENDER.ffmpegPath, timeoutMs: RENDER.timeoutMs, signal: controller.signal
+    });
+    console.log(`Rendered reply ${reply.id}: ${result.frames} frames at ${size}px in ${Date.now() - started} ms`);
+    res.set({
+      "Content-Type": result.contentType,
+      "Content-Disposition": `attachment; filename="reply-${reply.id}.${format}"`,
+      "X-Reply-Id": reply.id
+    });
+    res.send(result.video);
+  } catch (err) {
+    if (controller.signal.aborted) {
+      console.log("Render cancelled: client disconnected");
+      return;
+    }
+    console.error("Render error:", err);
+    res.status(500).json({ status: "error", error: err.message });
+  }
+});
+
+// Audio of a reply segment (seq 0 for a plain reply), as ?format=wav|opus
+// (default AUDIO_FORMAT). Opus is encoded on first request and cached with the reply.
+app.get("/audio/:replyId/:seq", async (req, res) => {
+  const format = req.query.format || AUDIO.format;
+  if (!AUDIO_FORMATS[format]) {
+    return res.status(400).json({ status: "error", error: `format must be one of: ${Object.keys(AUDIO_FORMATS).join(", ")}` });
+  }
+  const reply = replies.get(req.params.replyId);
+  const segment = reply && req.query.key === reply.key ? replies.segment(reply.id, Number(req.params.seq)) : null;
+  if (!segment || !segment.wav) return res.status(404).json({ status: "error", error: "audio not found" });
+
+  let audio = segment.wav;
+  let served = "wav";
+  try {
+    audio = await segmentAudio(segment, format);
+    served = format;
+  } catch (err) {
+    console.warn(`Audio ${format} encoding failed, serving wav:`, err.message);
+  }
+  res.set({
+    "Content-Type": AUDIO_FORMATS[served].contentType,
+    "Cache-Control": "private, max-age=300"
+  });
+  res.send(audio);
+});
+
+// Each encoding of a segment is made once, however many sockets fetch it
+function segmentAudio(segment, format) {
+  if (format === "wav") return Promise.resolve(segment.wav);
+  segment.encoded = segment.encoded || {};
+  if (!segment.encoded[format]) {
+    segment.encoded[format] = encodeAudio(segment.wav, format, AUDIO).catch((err) => {
+      delete segment.encoded[format];
+      throw err;
+    });
+  }
+  return segment.encoded[format];
 }
 
-wss.on("connection", (ws) => {
-  console.log("WS client connected");
-  ws.send(JSON.stringify({
-    type: "info",
-    msg: "connected",
-    timestamp: Date.now()
-  }));
+// Avatar packs
+app.get("/avatars", (req, res) => {
+  res.json({ status: "ok", avatars: avatars.list() });
+});
+
+app.get("/avatars/:id", (req, res) => {
+  const avatar = avatars.get(req.params.id);
+  if (!avatar) return res.status(404).json({ status: "error", error: "avatar not found" });
+  // Image paths resolve against the pack's file route below
+  res.json({ status: "ok", avatar: { ...avatar.manifest, root: `/avatars/${req.params.id}/files/` } });
+});
+
+app.get("/avatars/:id/files/*", (req, res) => {
+  const avatar = avatars.get(req.params.id);
+  if (!avatar) return res.status(404).json({ status: "error", error: "avatar not found" });
+  // sendFile rejects paths that climb out of the root
+  res.sendFile(req.params[0], { root: avatar.assetRoot }, (err) => {
+    if (err && !res.headersSent) res.status(err.status || 404).json({ status: "error", error: "file not found" });
+  });
+});
+
+// Viseme set definition shared with the client
+app.get("/visemes", (req, res) => {
+  res.json({ status: "ok", visemeSet: VISEME_SET });
+});
+
+// Session inspection / reset
+app.get("/sessions/:id", (req, res) => {
+  const session = sessions.get(req.params.id);
+  if (!session) return res.status(404).json({ status: "error", error: "session not found" });
+  res.json({ status: "ok", session: sessions.toJSON(session) });
 });
 
+app.delete("/sessions/:id", (req, res) => {
+  if (!sessions.delete(req.params.id)) {
+    return res.status(404).json({ status: "error", error: "session not found" });
+  }
+  res.json({ status: "ok", deleted: req.params.id });
+});
+
+// WebSocket servers: the versioned chat protocol on /ws of the HTTP server
+// (PROTOCOL.md), and the original socket on its own WS_PORT (0 disables it)
+const wss = new WebSocketServer({
+  noServer: true,
+  maxPayload: MAX_MESSAGE_BYTES,
+  handleProtocols: (offered) => (offered.has(SUBPROTOCOL) ? SUBPROTOCOL : false)
+});
+const legacyWss = WS_PORT ? new WebSocketServer({ port: WS_PORT, maxPayload: MAX_MESSAGE_BYTES }) : null;
+
+// Sockets register the session they chat in (and optionally a shared room);
+// replies are only delivered to those sockets
+const clients = new ClientRegistry();
+
+// Reply audio goes inline as base64, except to sockets that connected with
+// ?audio=url: they get only the audioUrl. Each variant is serialized once.
+function sendToSession(sessionId, msg) {
+  const variants = {};
+  return clients.send(sessionId, (client) => {
+    const mode = msg.audio && client.audio === "url" ? "url" : "inline";
+    if (!variants[mode]) variants[mode] = JSON.stringify(mode === "url" ? withoutInlineAudio(msg) : msg);
+    return variants[mode];
+  });
+}
+
+function withoutInlineAudio(msg) {
+  const { audio, ...rest } = msg;
+  return rest;
+}
+
+function sendJSON(ws, msg) {
+  if (ws.readyState === 1) ws.send(JSON.stringify(msg));
+}
+
+// A socket without a session gets one on its first chat message
+function sessionOfSocket(ws) {
+  const client = clients.get(ws) || {};
+  if (client.sessionId) return sessions.getOrCreate(client.sessionId);
+  const session = sessions.getOrCreate();
+  const registered = clients.register(ws, { sessionId: session.id, room: client.room, audio: client.audio });
+  sendJSON(ws, { type: "registered", ...registered, timestamp: Date.now() });
+  return session;
+}
+
+async function handleUserMessage(ws, msg) {
+  const requestId = msg.requestId || crypto.randomUUID();
+  let llmOptions;
+  try {
+    llmOptions = llmOptionsOf(msg.llmOptions);
+  } catch (err) {
+    return sendJSON(ws, errorMessage("bad_message", err.message, { requestId }));
+  }
+
+  const session = sessionOfSocket(ws);
+  sendJSON(ws, { type: "reply_start", requestId, sessionId: session.id, stream: msg.stream, timestamp: Date.now() });
+  try {
+    await runChat({ text: msg.text, session, requestId, stream: msg.stream, llmOptions });
+  } catch (err) {
+    console.error("WS chat error:", err);
+    sendJSON(ws, errorMessage("chat_failed", String(err), { requestId }));
+  }
+}
+
+function handleSocketMessage(ws, data) {
+  const { msg, error } = parseClientMessage(data);
+  if (error) return sendJSON(ws, error);
+
+  if (msg.type === "user_message") {
+    handleUserMessage(ws, msg);
+  } else if (msg.type === "cancel") {
+    // Only the session that asked for a reply may cancel it
+    const { sessionId } = clients.get(ws) || {};
+    const cancelled = Boolean(sessionId) && cancelRequest(msg.requestId, "cancelled", sessionId);
+    sendJSON(ws, { type: "cancel_ack", requestId: msg.requestId, cancelled, timestamp: Date.now() });
+  } else if (msg.type === "ping") {
+    sendJSON(ws, { type: "pong", id: msg.id, t: msg.t, serverTime: Date.now() });
+  } else if (msg.type === "register") {
+    const registered = clients.register(ws, { sessionId: msg.sessionId, room: msg.room, audio: msg.audio });
+    sendJSON(ws, { type: "registered", ...registered, timestamp: Date.now() });
+  }
+}
+
+function acceptSocket(ws, req, greeting) {
+  // ?sessionId=...&room=...&audio=url
+  const query = new URL(req.url || "/", "ws://localhost").searchParams;
+  const client = clients.register(ws, { sessionId: query.get("sessionId"), room: query.get("room"), audio: query.get("audio") });
+  console.log(`WS client connected (session ${client.sessionId || "none"}${client.room ? `, room ${client.room}` : ""})`);
+
+  ws.on("message", (data, isBinary) => {
+    if (isBinary) return sendJSON(ws, errorMessage("bad_message", "binary messages are not supported"));
+    handleSocketMessage(ws, data);
+  });
+  ws.on("close", () => clients.unregister(ws));
+
+  sendJSON(ws, { ...greeting, sessionId: client.sessionId, room: client.room, visemeSet: VISEME_SET, timestamp: Date.now() });
+}
+
+wss.on("connection", (ws, req) => {
+  acceptSocket(ws, req, { type: "hello", protocol: PROTOCOL_VERSION });
+});
+
+if (legacyWss) {
+  legacyWss.on("connection", (ws, req) => {
+    acceptSocket(ws, req, { type: "info", msg: "connected" });
+  });
+}
+
 // Start HTTP server
-app.listen(HTTP_PORT, () => {
+const server = app.listen(HTTP_PORT, () => {
   console.log(`HTTP server running at http://localhost:${HTTP_PORT}`);
-  console.log(`WebSocket server running at ws://localhost:${WS_PORT}`);
-  console.log(`Gentle aligner URL: ${GENTLE_URL}`);
+  console.log(`WebSocket protocol v${PROTOCOL_VERSION} at ws://localhost:${HTTP_PORT}/ws`);
+  if (legacyWss) console.log(`Legacy WebSocket server running at ws://localhost:${WS_PORT}`);
+  console.log(`Aligners: ${aligners.names.join(" -> ")}`);
+  console.log(`TTS provider: ${tts.name}`);
+  console.log(`LLM provider: ${llm.defaultName}`);
+  console.log(`STT provider: ${stt ? stt.name : "disabled"}`);
+  console.log(`Reply audio: ${AUDIO.format} (GET /audio)`);
+  console.log(`Avatars: ${avatars.list().map((a) => a.id).join(", ") || "none"} (${avatars.dir})`);
+});
+
+// Upgrade /ws requests that ask for a protocol version this server speaks
+server.on("upgrade", (req, socket, head) => {
+  const url = new URL(req.url || "/", "http://localhost");
+  if (url.pathname !== "/ws") return socket.destroy();
+
+  const offered = String(req.headers["sec-websocket-protocol"] || "").split(",").map((p) => p.trim()).filter(Boolean);
+  if (negotiateVersion(url.searchParams, offered) === null) {
+    socket.end(`HTTP/1.1 400 Bad Request\r\nContent-Type: text/plain\r\nConnection: close\r\n\r\nUnsupported protocol version; this server speaks v${PROTOCOL_VERSION}\n`);
+    return;
+  }
+  wss.handleUpgrade(req, socket, head, (ws) => wss.emit("connection", ws, req));
 });
\ No newline at end of file
@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseTextGrid, phonesFromTextGrid } from "../lib/aligners/mfa.js";
+import { phonesFromGentle } from "../lib/aligners/gentle.js";
+
+const TEXTGRID = `File type = "ooTextFile"
+Object class = "TextGrid"
+
+xmin = 0
+xmax = 0.6
+tiers? <exists>
+size = 2
+item []:
+    item [1]:
+        class = "IntervalTier"
+        name = "words"
+        xmin = 0
+        xmax = 0.6
+        intervals: size = 1
+        intervals [1]:
+            xmin = 0
+            xmax = 0.6
+            text = "say ""hi"""
+    item [2]:
+        class = "IntervalTier"
+        name = "phones"
+        xmin = 0
+        xmax = 0.6
+        intervals: size = 3
+        intervals [1]:
+            xmin = 0
+            xmax = 0.1
+            text = ""
+        intervals [2]:
+            xmin = 0.1
+            xmax = 0.35
+            text = "HH"
+        intervals [3]:
+            xmin = 0.35
+            xmax = 0.6
+            text = "AY1"
+`;
+
+test("parses TextGrid tiers and their intervals", () => {
+  const tiers = parseTextGrid(TEXTGRID.replace(/\n/g, "\r\n"));
+  assert.deepEqual(Object.keys(tiers), ["words", "phones"]);
+  assert.deepEqual(tiers.words, [{ start: 0, end: 0.6, text: "say \"hi\"" }]);
+  assert.equal(tiers.phones.length, 3);
+});
+
+test("reads MFA phones with silences and stress marks normalized", () => {
+  assert.deepEqual(phonesFromTextGrid(TEXTGRID), [
+    { phoneme: "SIL", start: 0, end: 0.1, confidence: 1 },
+    { phoneme: "HH", start: 0.1, end: 0.35, confidence: 1 },
+    { phoneme: "AY", start: 0.35, end: 0.6, confidence: 1 }
+  ]);
+  assert.deepEqual(phonesFromTextGrid("not a textgrid"), []);
+});
+
+test("lays Gentle phone durations back to back from the word start", () => {
+  const phones = phonesFromGentle({
+    words: [
+      { case: "success", word: "hi", alignedWord: "hi", start: 0.2, phones: [{ phone: "hh_B", duration: 0.1 }, { phone: "ay1_E", duration: 0.15 }] },
+      { case: "not-found-in-audio", word: "there" }
+    ]
+  });
+  assert.deepEqual(phones.map((p) => p.phoneme), ["HH", "AY", "SIL"]);
+  assert.deepEqual([phones[0].start, phones[0].end, phones[1].start, phones[1].end], [0.2, 0.3, 0.3, 0.45]);
+  assert.ok(Math.abs(phones[2].start - 0.45) < 1e-9 && Math.abs(phones[2].end - 0.55) < 1e-9, "unaligned words become a short silence");
+  assert.deepEqual(phonesFromGentle({}), []);
+});
@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readPcmSamples, frameEnergy, analyzeSpeech, warpTimeline } from "../lib/audioAnalysis.js";
+
+const SAMPLE_RATE = 16000;
+
+// 16-bit mono WAV, silent except for a 200 Hz tone over each [start, end] (seconds)
+function toneWav(duration, bursts) {
+  const dataLength = Math.round(duration * SAMPLE_RATE) * 2;
+  const wav = Buffer.alloc(44 + dataLength);
+  wav.write("RIFF", 0);
+  wav.writeUInt32LE(36 + dataLength, 4);
+  wav.write("WAVEfmt ", 8);
+  wav.writeUInt32LE(16, 16);
+  wav.writeUInt16LE(1, 20);
+  wav.writeUInt16LE(1, 22);
+  wav.writeUInt32LE(SAMPLE_RATE, 24);
+  wav.writeUInt32LE(SAMPLE_RATE * 2, 28);
+  wav.writeUInt16LE(2, 32);
+  wav.writeUInt16LE(16, 34);
+  wav.write("data", 36);
+  wav.writeUInt32LE(dataLength, 40);
+  for (const [start, end] of bursts) {
+    for (let i = Math.round(start * SAMPLE_RATE); i < Math.round(end * SAMPLE_RATE); i++) {
+      wav.writeInt16LE(Math.round(Math.sin((2 * Math.PI * 200 * i) / SAMPLE_RATE) * 16000), 44 + i * 2);
+    }
+  }
+  return wav;
+}
+
+test("reads 16-bit PCM as floats", () => {
+  const { samples, sampleRate, duration } = readPcmSamples(toneWav(0.5, [[0, 0.5]]));
+  assert.equal(sampleRate, 16000);
+  assert.equal(duration, 0.5);
+  assert.equal(samples.length, 8000);
+  assert.ok(Math.max(...samples) > 0.45 && Math.max(...samples) <= 0.5);
+});
+
+test("frame energy of silence is zero", () => {
+  const { rms, frameDuration } = frameEnergy(new Float32Array(1600), 16000);
+  assert.equal(frameDuration, 0.01);
+  assert.equal(rms.length, 10);
+  assert.ok(rms.every((v) => v === 0));
+});
+
+test("detects the speech segments of the audio", () => {
+  const { duration, segments } = analyzeSpeech(toneWav(1.5, [[0.1, 0.6], [0.9, 1.3]]));
+  assert.equal(duration, 1.5);
+  assert.equal(segments.length, 2);
+  assert.ok(Math.abs(segments[0].start - 0.1) < 0.02 && Math.abs(segments[0].end - 0.6) < 0.02);
+  assert.ok(Math.abs(segments[1].start - 0.9) < 0.02 && Math.abs(segments[1].end - 1.3) < 0.02);
+  assert.deepEqual(analyzeSpeech(toneWav(0.5, [])).segments, []);
+});
+
+test("warps phonemes onto the detected speech", () => {
+  const phones = [
+    { phoneme: "HH", start: 0, end: 0.4 },
+    { phoneme: "SIL", start: 0.4, end: 0.7 },
+    { phoneme: "AY", start: 0.7, end: 1.0 }
+  ];
+  const segments = [{ start: 0.2, end: 0.6 }, { start: 1.0, end: 1.3 }];
+  const warped = warpTimeline(phones, segments, 1.5);
+
+  assert.deepEqual(warped.map((p) => p.phoneme), ["SIL", "HH", "SIL", "AY", "SIL"]);
+  const hh = warped.find((p) => p.phoneme === "HH");
+  const ay = warped.find((p) => p.phoneme === "AY");
+  assert.deepEqual([hh.start, hh.end], [0.2, 0.6]);
+  assert.deepEqual([ay.start, ay.end], [1.0, 1.3]);
+  assert.equal(warpTimeline(phones, [], 1.5), phones);
+});
@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { validateAvatarPack } from "../lib/avatarValidator.js";
+import { emittableVisemes, VISEME_SET } from "../lib/visemeSet.js";
+
+const DEFAULT_PACK = fileURLToPath(new URL("../../client/assets/avatars/default", import.meta.url));
+
+// PNG signature and IHDR chunk only - all the validator reads
+function pngHeader(width, height) {
+  const buf = Buffer.alloc(33);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(buf, 0);
+  buf.writeUInt32BE(13, 8);
+  buf.write("IHDR", 12, "ascii");
+  buf.writeUInt32BE(width, 16);
+  buf.writeUInt32BE(height, 20);
+  buf.writeUInt8(8, 24);
+  buf.writeUInt8(6, 25);
+  return buf;
+}
+
+function writePack(manifest, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "avatar_test_"));
+  for (const [name, data] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), data);
+  fs.writeFileSync(path.join(dir, "manifest.json"), JSON.stringify(manifest));
+  return dir;
+}
+
+const REGION = { x: 0.2, y: 0.2, w: 0.5, h: 0.1 };
+
+function completeManifest() {
+  const images = {};
+  for (const id of emittableVisemes()) if (id !== VISEME_SET.rest) images[id] = "layer.png";
+  return {
+    name: "Test",
+    base: "face.png",
+    regions: { brow: REGION, eyes: REGION, mouth: REGION },
+    emotions: { neutral: { brow: "layer.png", eyes: "layer.png", mouth: "layer.png" } },
+    visemes: { set: VISEME_SET.name, rest: VISEME_SET.rest, images },
+    blink: { frames: { brow: "layer.png", eyes: "layer.png", mouth: "layer.png" } }
+  };
+}
+
+test("the shipped avatar pack is valid", () => {
+  const result = validateAvatarPack(DEFAULT_PACK);
+  assert.deepEqual(result.errors, []);
+  assert.ok(result.images > 0);
+});
+
+test("a complete pack only warns about missing optional emotions", (t) => {
+  const dir = writePack(completeManifest(), { "face.png": pngHeader(100, 100), "layer.png": pngHeader(200, 200) });
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const result = validateAvatarPack(dir);
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.images, 2);
+  assert.ok(result.warnings.some((w) => w.includes("get scaled to the 100x100 base face")));
+  assert.ok(result.warnings.some((w) => w.startsWith('emotion "happy" has no images')));
+});
+
+test("reports missing files, bad regions, misaligned layers and uncovered visemes", (t) => {
+  const manifest = completeManifest();
+  manifest.regions.mouth = { x: 0.8, y: 0.2, w: 0.5, h: 0.1 };
+  manifest.emotions.neutral.eyes = "missing.png";
+  manifest.blink.frames.brow = "wide.png";
+  const [dropped] = Object.keys(manifest.visemes.images);
+  delete manifest.visemes.images[dropped];
+  const dir = writePack(manifest, {
+    "face.png": pngHeader(100, 100),
+    "layer.png": pngHeader(100, 100),
+    "wide.png": pngHeader(300, 100)
+  });
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const { errors } = validateAvatarPack(dir);
+  assert.deepEqual(errors, [
+    "regions.mouth reaches outside the image",
+    "emotions.neutral.eyes: none of missing.png exist",
+    `viseme "${dropped}" can be emitted but has no image`,
+    "blink.frames.brow: wide.png is 300x100, which does not line up with the 100x100 base face"
+  ]);
+});
+
+test("a missing manifest is an error", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "avatar_test_"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  assert.deepEqual(validateAvatarPack(dir).errors, ["manifest.json: not found"]);
+});
@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ClientRegistry, cleanId } from "../lib/clients.js";
+
+function socket(name, readyState = 1) {
+  return { name, readyState, sent: [], send(msg) { this.sent.push(msg); } };
+}
+
+test("accepts only short, plain ids", () => {
+  assert.equal(cleanId("tab-1.a:b_c"), "tab-1.a:b_c");
+  for (const bad of [undefined, null, "", "a b", "x".repeat(129), 7]) assert.equal(cleanId(bad), null);
+});
+
+test("routes replies to the session's own sockets", () => {
+  const clients = new ClientRegistry();
+  const a = socket("a");
+  const b = socket("b");
+  const other = socket("other");
+  const anonymous = socket("anonymous");
+  clients.register(a, { sessionId: "s1" });
+  clients.register(b, { sessionId: "s1" });
+  clients.register(other, { sessionId: "s2" });
+  clients.register(anonymous, { sessionId: "not valid!" });
+
+  assert.deepEqual(clients.get(anonymous), { sessionId: null, room: null, audio: "inline" });
+  assert.equal(clients.send("s1", "hi"), 2);
+  assert.deepEqual([a.sent, b.sent, other.sent, anonymous.sent], [["hi"], ["hi"], [], []]);
+});
+
+test("copies replies to every socket in the session's room", () => {
+  const clients = new ClientRegistry();
+  const speaker = socket("speaker");
+  const display = socket("display");
+  const elsewhere = socket("elsewhere");
+  clients.register(speaker, { sessionId: "s1", room: "lobby" });
+  clients.register(display, { room: "lobby" });
+  clients.register(elsewhere, { sessionId: "s2", room: "kitchen" });
+
+  assert.deepEqual(clients.recipients("s1").map((s) => s.name), ["speaker", "display"]);
+  assert.deepEqual(clients.recipients("s2").map((s) => s.name), ["elsewhere"]);
+  assert.deepEqual(clients.rooms(), { lobby: 2, kitchen: 1 });
+});
+
+test("skips closed sockets and forgets unregistered ones", () => {
+  const clients = new ClientRegistry();
+  const open = socket("open");
+  const closing = socket("closing", 2);
+  clients.register(open, { sessionId: "s1" });
+  clients.register(closing, { sessionId: "s1" });
+
+  assert.equal(clients.send("s1", "hi"), 1);
+  assert.deepEqual(closing.sent, []);
+  clients.unregister(open);
+  assert.equal(clients.get(open), null);
+  assert.deepEqual(clients.recipients("s1").map((s) => s.name), ["closing"]);
+});
+
+test("builds each socket's message from its audio mode, which re-registering keeps", () => {
+  const clients = new ClientRegistry();
+  const inline = socket("inline");
+  const url = socket("url");
+  clients.register(inline, { sessionId: "s1", audio: "base64" });
+  clients.register(url, { sessionId: "s1", audio: "url" });
+  clients.register(url, { sessionId: "s1", room: "lobby" });
+
+  assert.equal(clients.get(inline).audio, "inline");
+  assert.equal(clients.get(url).audio, "url");
+  clients.send("s1", (client) => client.audio);
+  assert.deepEqual([inline.sent, url.sent], [["inline"], ["url"]]);
+});
@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseEmotionMarkers, stripEmotionMarkers, buildEmotionCues } from "../lib/emotionCues.js";
+
+test("strips markers and records the word each one precedes", () => {
+  const { text, markers } = parseEmotionMarkers("[happy] Great news! [sad 0.4] But it's over [ANGRY:0.8].");
+  assert.equal(text, "Great news! But it's over.");
+  assert.deepEqual(markers, [
+    { emotion: "happy", intensity: undefined, wordIndex: 0 },
+    { emotion: "sad", intensity: 0.4, wordIndex: 2 },
+    { emotion: "angry", intensity: 0.8, wordIndex: 5 }
+  ]);
+});
+
+test("leaves unknown brackets in the text", () => {
+  assert.equal(stripEmotionMarkers("See [note] here [surprised]"), "See [note] here");
+  assert.deepEqual(parseEmotionMarkers("").markers, []);
+});
+
+test("places cues at word start times", () => {
+  const { markers } = parseEmotionMarkers("[happy] Great news! [sad 0.4] But it's over [angry:0.8].");
+  const cues = buildEmotionCues(markers, [0, 0.4, 0.9, 1.2, 1.5], 2);
+  assert.deepEqual(cues.map((c) => [c.time, c.emotion, c.intensity]), [[0, "happy", 1], [0.9, "sad", 0.4], [2, "angry", 0.8]]);
+});
+
+test("the last of several markers before one word wins", () => {
+  const { markers } = parseEmotionMarkers("[happy][surprised] Wow");
+  const cues = buildEmotionCues(markers, [0.25], 1);
+  assert.equal(cues.length, 1);
+  assert.equal(cues[0].emotion, "surprised");
+  assert.equal(cues[0].time, 0.25);
+});
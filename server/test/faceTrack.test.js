@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createFaceTrack } from "../lib/render/faceTrack.js";
+
+// Steps a track at 100 fps (layersAt needs increasing times); play(t) returns the layers at t
+function player(track) {
+  let frame = 0;
+  return (until) => {
+    let layers = null;
+    for (; frame <= Math.round(until * 100); frame++) layers = track.layersAt(frame / 100);
+    return layers;
+  };
+}
+
+function opacity(layers, key) {
+  return layers.filter((l) => l.key === key).reduce((sum, l) => sum + l.opacity, 0);
+}
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 0.01, `${actual} is not ${expected}`);
+
+test("plays segments back to back on top of the base face", () => {
+  const track = createFaceTrack([{ duration: 1.5, visemes: [] }, { duration: 0.5, visemes: [] }]);
+  assert.equal(track.duration, 2);
+  const layers = track.layersAt(0);
+  assert.deepEqual(layers[0], { key: "base", opacity: 1 });
+  assert.equal(opacity(layers, "mouth:neutral"), 1);
+});
+
+test("blinks while speaking and keeps the mouth blink frame under visemes", () => {
+  const track = createFaceTrack([{ duration: 4, visemes: [{ viseme: "A", start: 3, end: 3.5, confidence: 1 }] }]);
+  const layers = player(track)(3.13); // eyes fully closed in the fixed blink cycle
+  near(opacity(layers, "blink:eyes"), 1);
+  near(opacity(layers, "blink:brow"), 1);
+  near(opacity(layers, "viseme:A"), 1);
+  near(opacity(layers, "mouth:neutral"), 0);
+  near(opacity(layers, "blink:mouth"), 0);
+});
+
+test("changes expression per segment and at emotion cues", () => {
+  const track = createFaceTrack([
+    { duration: 1, visemes: [], emotion: "happy", intensity: 0.6, emotionCues: [{ time: 0.5, emotion: "sad", intensity: 1 }] },
+    { duration: 1, visemes: [], emotion: "angry" }
+  ]);
+  const play = player(track);
+
+  const happy = play(0.4);
+  near(opacity(happy, "eyes:happy"), 0.6);
+  near(opacity(happy, "eyes:neutral"), 1);
+
+  const sad = play(0.9);
+  near(opacity(sad, "eyes:sad"), 1);
+  assert.equal(opacity(sad, "eyes:happy"), 0);
+
+  near(opacity(play(1.5), "brow:angry"), 1);
+});
+
+test("leaves the neutral mouth in place when the avatar has no viseme image", () => {
+  const track = createFaceTrack([{ duration: 1, visemes: [{ viseme: "E", start: 0, end: 1 }] }], {
+    hasTexture: (key) => !key.startsWith("viseme:")
+  });
+  const layers = player(track)(0.5);
+  assert.equal(layers.some((l) => l.key.startsWith("viseme:")), false);
+  assert.equal(opacity(layers, "mouth:neutral"), 1);
+});
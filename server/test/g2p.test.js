@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { wordToPhonemes, textToPhonemes, textToPhonemeTimeline } from "../lib/g2p.js";
+
+test("looks words up in the dictionary", () => {
+  assert.deepEqual(wordToPhonemes("Hello"), { phonemes: ["HH", "AH", "L", "OW"], source: "dictionary" });
+  assert.deepEqual(wordToPhonemes("friend's").phonemes, ["F", "R", "EH", "N", "D", "Z"]);
+  assert.deepEqual(wordToPhonemes("42").phonemes, ["F", "AO", "R", "T", "UW"]);
+  assert.deepEqual(wordToPhonemes("!?"), { phonemes: [], source: "none" });
+});
+
+test("falls back to letter-to-sound rules", () => {
+  const { phonemes, source } = wordToPhonemes("zorblat");
+  assert.equal(source, "rules");
+  assert.ok(phonemes.length > 0);
+});
+
+test("tokenizes words and punctuation pauses", () => {
+  const tokens = textToPhonemes("Hi, you!");
+  assert.deepEqual(tokens.map((t) => t.type === "word" ? t.word : t.mark), ["Hi", ",", "you", "!"]);
+  assert.deepEqual(tokens.map((t) => t.wordIndex), [0, undefined, 1, undefined]);
+});
+
+test("spreads the timeline over the whole duration", () => {
+  const timeline = textToPhonemeTimeline("Hello there. Bye", 2);
+  assert.equal(timeline[0].start, 0);
+  assert.equal(timeline[timeline.length - 1].end, 2);
+  assert.notEqual(timeline[timeline.length - 1].phoneme, "SIL");
+  for (let i = 1; i < timeline.length; i++) {
+    assert.ok(Math.abs(timeline[i].start - timeline[i - 1].end) < 0.002, "entries are contiguous");
+  }
+  // The sentence break is a longer pause than the gap between words
+  const pauses = timeline.filter((p) => p.phoneme === "SIL").map((p) => p.end - p.start);
+  assert.ok(Math.max(...pauses) > Math.min(...pauses) * 5);
+  assert.deepEqual(textToPhonemeTimeline("...", 1), []);
+});
@@ -0,0 +1,19 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readLines } from "../lib/llm/http.js";
+
+async function* chunks(buffer, size) {
+  for (let i = 0; i < buffer.length; i += size) yield buffer.subarray(i, i + size);
+}
+
+test("splits a streamed body into lines", async () => {
+  const lines = [];
+  await readLines(chunks(Buffer.from("data: one\ndata: two\n\ndata: [DONE]"), 4), (line) => lines.push(line));
+  assert.deepEqual(lines, ["data: one", "data: two", "", "data: [DONE]"]);
+});
+
+test("keeps multi-byte characters split across chunks", async () => {
+  const lines = [];
+  await readLines(chunks(Buffer.from("café ☕\nnaïve 😀"), 1), (line) => lines.push(line));
+  assert.deepEqual(lines, ["café ☕", "naïve 😀"]);
+});
@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MAX_TEXT_LENGTH, negotiateVersion, parseClientMessage, validateChatText } from "../lib/protocol.js";
+
+const parse = (msg) => parseClientMessage(Buffer.from(typeof msg === "string" ? msg : JSON.stringify(msg)));
+
+test("negotiates the version from the query or the subprotocol", () => {
+  assert.equal(negotiateVersion(new URLSearchParams("")), 1);
+  assert.equal(negotiateVersion(new URLSearchParams("v=1")), 1);
+  assert.equal(negotiateVersion(new URLSearchParams("v=2")), null);
+  assert.equal(negotiateVersion(new URLSearchParams(""), new Set(["avatarchat.v2"])), null);
+  assert.equal(negotiateVersion(new URLSearchParams(""), new Set(["other", "avatarchat.v1"])), 1);
+});
+
+test("validateChatText accepts only non-empty strings within the limit", () => {
+  assert.equal(validateChatText("Hello"), null);
+  assert.equal(validateChatText("x".repeat(MAX_TEXT_LENGTH)), null);
+  assert.match(validateChatText("x".repeat(MAX_TEXT_LENGTH + 1)), /longer than/);
+  for (const bad of [undefined, null, 42, "", "   ", ["hi"]]) {
+    assert.ok(validateChatText(bad), `accepted ${JSON.stringify(bad)}`);
+  }
+});
+
+test("user_message is trimmed and gets its LLM options", () => {
+  const { msg } = parse({ type: "user_message", text: "  Hi  ", requestId: "r-1", temperature: 0.2, extra: true });
+  assert.deepEqual(msg, { type: "user_message", text: "Hi", requestId: "r-1", stream: true, llmOptions: { temperature: 0.2 } });
+  assert.equal(parse({ type: "user_message", text: "Hi", stream: false }).msg.stream, false);
+});
+
+test("invalid messages get error codes", () => {
+  assert.equal(parse("{nope").error.code, "bad_json");
+  assert.equal(parse({ text: "no type" }).error.code, "bad_message");
+  assert.equal(parse({ type: "dance" }).error.code, "unknown_type");
+
+  const noText = parse({ type: "user_message", text: " ", requestId: "r-2" }).error;
+  assert.equal(noText.code, "bad_message");
+  assert.equal(noText.requestId, "r-2");
+  assert.equal(parse({ type: "user_message", text: "Hi", requestId: "has spaces" }).error.code, "bad_message");
+  assert.equal(parse({ type: "cancel" }).error.code, "bad_message");
+  assert.equal(parse({ type: "register", audio: "mp3" }).error.code, "bad_message");
+});
+
+test("register and ping pass their fields through", () => {
+  assert.deepEqual(parse({ type: "register", sessionId: "s1", room: null, audio: "url" }).msg,
+    { type: "register", sessionId: "s1", room: null, audio: "url" });
+  assert.deepEqual(parse({ type: "ping", id: 7, t: 123 }).msg, { type: "ping", id: 7, t: 123 });
+});
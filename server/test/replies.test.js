@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ReplyStore } from "../lib/replies.js";
+
+const ids = (store) => [...store.replies.keys()];
+
+test("stores segments and finds them by seq", () => {
+  const store = new ReplyStore();
+  const reply = store.create("r1", { sessionId: "s1" });
+  store.addSegment("r1", { seq: 0, text: "Hello." });
+  store.addSegment("r1", { seq: 1, text: "Bye." });
+
+  assert.equal(store.get("r1").text, "Hello. Bye.");
+  assert.equal(store.segment("r1", 1).text, "Bye.");
+  assert.equal(store.segment("r1", 2), null);
+  assert.equal(store.addSegment("nope", { seq: 0 }), null);
+  assert.match(reply.key, /^[\w-]{16}$/);
+  assert.notEqual(store.create("r2").key, reply.key);
+});
+
+test("a session only pushes out its own oldest replies", () => {
+  const store = new ReplyStore({ maxReplies: 10, maxPerSession: 2 });
+  store.create("a1", { sessionId: "a" });
+  store.create("b1", { sessionId: "b" });
+  store.create("a2", { sessionId: "a" });
+  store.create("a3", { sessionId: "a" });
+  store.create("a4", { sessionId: "a" });
+
+  assert.deepEqual(ids(store), ["b1", "a3", "a4"]);
+});
+
+test("the whole store is capped too, oldest first", () => {
+  const store = new ReplyStore({ maxReplies: 3, maxPerSession: 3 });
+  for (const id of ["a1", "b1", "c1", "d1"]) store.create(id, { sessionId: id[0] });
+  store.create("render");
+  assert.deepEqual(ids(store), ["c1", "d1", "render"]);
+});
+
+test("replies expire after their time to live", () => {
+  const store = new ReplyStore({ ttlMs: 1000 });
+  store.create("old", { sessionId: "s1" }).createdAt -= 2000;
+  assert.equal(store.get("old"), null);
+
+  store.create("stale", { sessionId: "s1" }).createdAt -= 2000;
+  store.create("fresh", { sessionId: "s2" });
+  assert.deepEqual(ids(store), ["fresh"]);
+});
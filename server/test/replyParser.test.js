@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { extractFirstJSONObject, parseReply, validateReply, normalizeAffect, fallbackReply } from "../lib/replyParser.js";
+
+test("parses a well-formed answer directly", () => {
+  const parsed = parseReply('{"emotion":"Happy","intensity":0.7,"reply":" Hi there! "}');
+  assert.equal(parsed.ok, true);
+  assert.equal(parsed.path, "direct");
+  assert.deepEqual(parsed.value, { reply: "Hi there!", emotion: "happy", intensity: 0.7, secondary: null, secondaryIntensity: 0 });
+});
+
+test("digs the object out of code fences and prose", () => {
+  const parsed = parseReply('Here you go:\n```json\n{"emotion":"sad","reply":"Oh no."}\n```');
+  assert.equal(parsed.ok, true);
+  assert.equal(parsed.path, "extracted");
+  assert.equal(parsed.value.reply, "Oh no.");
+  assert.equal(parsed.value.intensity, 1);
+});
+
+test("extractFirstJSONObject skips braces that are not JSON", () => {
+  assert.equal(extractFirstJSONObject('use {curly} braces {"reply":"a } b"} then {"x":1}'), '{"reply":"a } b"}');
+  assert.equal(extractFirstJSONObject("no object here"), null);
+});
+
+test("reports every schema violation", () => {
+  const errors = validateReply({ reply: "", emotion: "bored", intensity: 3, secondary: "meh" });
+  assert.equal(errors.length, 4);
+  assert.deepEqual(validateReply([]), ["answer must be a JSON object"]);
+  assert.equal(parseReply("just words").ok, false);
+});
+
+test("normalizeAffect fills defaults and drops redundant secondaries", () => {
+  assert.deepEqual(normalizeAffect({}), { emotion: "neutral", intensity: 1, secondary: null, secondaryIntensity: 0 });
+  assert.deepEqual(normalizeAffect({ emotion: "happy", intensity: "0.333", secondary: "surprised" }),
+    { emotion: "happy", intensity: 0.33, secondary: "surprised", secondaryIntensity: 0.5 });
+  assert.equal(normalizeAffect({ emotion: "happy", secondary: "happy" }).secondary, null);
+});
+
+test("fallbackReply salvages what it can", () => {
+  assert.equal(fallbackReply('{"reply":"Cut off mid sen').reply, "Cut off mid sen");
+  assert.equal(fallbackReply("Plain answer without JSON.").reply, "Plain answer without JSON.");
+  assert.equal(fallbackReply("").reply, "Sorry, I couldn't generate a response.");
+});
@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { SessionStore, isValidSessionId } from "../lib/sessions.js";
+
+function fill(store, session, turns, from = 1) {
+  for (let i = from; i < from + turns; i++) {
+    store.append(session, "user", `Question ${i}`);
+    store.append(session, "assistant", `Answer ${i}`);
+  }
+}
+
+test("accepts only short, plain session ids", () => {
+  assert.equal(isValidSessionId("c0ffee-1:tab_2.x"), true);
+  for (const bad of ["", "has space", "x".repeat(129), 42, null, "a/b"]) {
+    assert.equal(isValidSessionId(bad), false, `accepted ${JSON.stringify(bad)}`);
+  }
+});
+
+test("builds the prompt from the summary and the recent history", () => {
+  const store = new SessionStore();
+  const session = store.getOrCreate("s1");
+  assert.equal(store.getOrCreate("s1"), session);
+  fill(store, session, 1);
+  session.summary = "They said hello.";
+
+  assert.deepEqual(store.buildMessages(session, "sys"), [
+    { role: "system", content: "sys" },
+    { role: "system", content: "Summary of the earlier conversation: They said hello." },
+    { role: "user", content: "Question 1" },
+    { role: "assistant", content: "Answer 1" }
+  ]);
+  assert.equal(session.turns, 1);
+});
+
+test("marks truncated replies", () => {
+  const store = new SessionStore();
+  const session = store.getOrCreate("s4");
+  store.append(session, "user", "Tell me a story");
+  store.append(session, "assistant", "Once upon a", { truncated: true });
+  assert.deepEqual(session.messages, [
+    { role: "user", content: "Tell me a story" },
+    { role: "assistant", content: "Once upon a", truncated: true }
+  ]);
+  assert.equal(session.turns, 1);
+  // The flag stays out of the prompt
+  assert.deepEqual(store.buildMessages(session, "sys").at(-1), { role: "assistant", content: "Once upon a" });
+});
+
+test("folds old turns into the summary", async () => {
+  const store = new SessionStore({ maxTurns: 2, keepTurns: 1 });
+  const session = store.getOrCreate("s2");
+  fill(store, session, 3);
+
+  let seen = null;
+  const compacted = await store.compact(session, async (previous, messages) => {
+    seen = messages.map((m) => m.content);
+    return "They asked two questions.";
+  });
+  assert.equal(compacted, true);
+  assert.deepEqual(seen, ["Question 1", "Answer 1", "Question 2", "Answer 2"]);
+  assert.equal(session.summary, "They asked two questions.");
+  assert.deepEqual(session.messages.map((m) => m.content), ["Question 3", "Answer 3"]);
+});
+
+test("keeps the overflow until the summary is ready", async () => {
+  const store = new SessionStore({ maxTurns: 2, keepTurns: 1 });
+  const session = store.getOrCreate("s3");
+  fill(store, session, 3);
+
+  let release;
+  const first = store.compact(session, () => new Promise((resolve) => { release = resolve; }));
+  // A turn arriving during summarization still sees the whole history
+  fill(store, session, 1, 4);
+  assert.equal(session.messages.length, 8);
+  assert.equal(await store.compact(session, async () => "second"), false);
+
+  release("first");
+  assert.equal(await first, true);
+  assert.equal(session.summary, "first");
+  assert.deepEqual(session.messages.map((m) => m.content), ["Question 3", "Answer 3", "Question 4", "Answer 4"]);
+});
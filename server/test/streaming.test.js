@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createReplyExtractor, createSentenceSplitter } from "../lib/streaming.js";
+
+// Feeds the answer in small pieces, as a model stream would
+function streamInto(extractor, text, size = 3) {
+  const seen = [];
+  for (let i = 0; i < text.length; i += size) {
+    seen.push(extractor.push(text.slice(i, i + size)).reply);
+  }
+  return seen;
+}
+
+test("extracts the reply and emotion while the JSON is still arriving", () => {
+  const extractor = createReplyExtractor();
+  extractor.push('{"emotion":"happy","intensity":0.8,"reply":"Hello the');
+  let partial = extractor.current();
+  assert.equal(partial.reply, "Hello the");
+  assert.equal(partial.replyComplete, false);
+  assert.equal(partial.emotion, "happy");
+  assert.equal(partial.intensity, 0.8);
+
+  partial = extractor.push('re!"}');
+  assert.equal(partial.reply, "Hello there!");
+  assert.equal(partial.replyComplete, true);
+});
+
+test("skips prose before the JSON object", () => {
+  const extractor = createReplyExtractor();
+  const seen = streamInto(extractor, 'Sure, here is my answer:\n```json\n{"emotion":"neutral","intensity":0.5,"reply":"Fine, thanks."}\n```\nHope that helps!');
+
+  for (const reply of seen) {
+    assert.ok("Fine, thanks.".startsWith(reply), `unexpected partial reply: ${reply}`);
+  }
+  const partial = extractor.current();
+  assert.equal(partial.reply, "Fine, thanks.");
+  assert.equal(partial.emotion, "neutral");
+});
+
+test("never returns text outside the object", () => {
+  const extractor = createReplyExtractor();
+  assert.equal(extractor.push("I am not going to use JSON today. ").reply, "");
+  assert.equal(extractor.push('{"reply":"Ok."} and some more words.').reply, "Ok.");
+});
+
+test("waits for escape sequences split across tokens", () => {
+  const extractor = createReplyExtractor();
+  assert.equal(extractor.push('{"reply":"Say \\').reply, "Say ");
+  assert.equal(extractor.push('"hi\\" and caf\\u00').reply, 'Say "hi" and caf');
+  assert.equal(extractor.push('e9."}').reply, 'Say "hi" and café.');
+});
+
+test("sentence splitter emits finished sentences once", () => {
+  const splitter = createSentenceSplitter();
+  assert.deepEqual(splitter.push("This is the first sentence. And the sec"), ["This is the first sentence."]);
+  assert.deepEqual(splitter.push("This is the first sentence. And the second one! Then"), ["And the second one!"]);
+  assert.deepEqual(splitter.flush("This is the first sentence. And the second one! Then more"), ["Then more"]);
+});
+
+test("sentence splitter merges very short fragments", () => {
+  const splitter = createSentenceSplitter();
+  assert.deepEqual(splitter.push("Hi. I am glad you asked. "), ["Hi. I am glad you asked."]);
+});
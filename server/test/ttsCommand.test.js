@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createCommandProvider } from "../lib/tts/command.js";
+
+// Fake engine: writes its arguments (and stdin) as JSON to the {out} file
+const ENGINE = `${process.execPath} -e 'const fs = require("fs"); const [out, ...args] = process.argv.slice(1); const stdin = args.length ? "" : fs.readFileSync(0, "utf8"); fs.writeFileSync(out, JSON.stringify({ args, stdin }))'`;
+
+async function run(template, text, options) {
+  const { wav } = await createCommandProvider({ command: `${ENGINE} {out} ${template}` }).synthesize(text, options);
+  return JSON.parse(wav.toString());
+}
+
+test("substitutes the placeholders per argument", async () => {
+  const { args } = await run("-v {voice} -s {wpm} --rate={rate} {text}", "Hello there", { voice: "en", rate: 1.2 });
+  assert.deepEqual(args, ["-v", "en", "-s", "210", "--rate=1.2", "Hello there"]);
+});
+
+test("writes the text to stdin without a {text} placeholder", async () => {
+  assert.deepEqual(await run("", "Read me"), { args: [], stdin: "Read me" });
+});
+
+test("text starting with a dash is never an option", async () => {
+  assert.deepEqual((await run("{text}", "-5 degrees")).args, [" -5 degrees"]);
+  assert.deepEqual((await run("-- {text}", "-5 degrees")).args, ["--", "-5 degrees"]);
+});
+
+test("rejects when the engine fails", async () => {
+  const provider = createCommandProvider({ command: `${process.execPath} -e 'process.exit(3)' {out}` });
+  await assert.rejects(provider.synthesize("Hi"), /exited with 3/);
+  assert.throws(() => createCommandProvider({}), /TTS_COMMAND/);
+});